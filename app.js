@@ -1,25 +1,254 @@
-const { useState, useRef, useMemo, useEffect } = React;
-const { toPng } = htmlToImage;
+const { useState, useRef, useMemo, useEffect, useLayoutEffect } = React;
+const { toCanvas } = htmlToImage;
 
 // --- utils ---
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 const uid = () => Math.random().toString(36).slice(2, 9);
 
-// Panel layout presets
+// --- layouts ---
+// Panel `rect` { x, y, w, h } is in page fractions; array order is reading order
+const snap = (v) => Math.round(v * 10000) / 10000; // keeps shared edges exactly equal
+const MIN_PANEL = 0.05;
+const GUTTER = 12; // default px between panels and around the page edge
+const PAGE_BG = '#e2e8f0';
+
+const gutterOf = (doc) => Number.isFinite(doc.gutter) ? doc.gutter : GUTTER;
+
+// Extra px a bleeding panel reaches on each side: up to the paper edge on the sides
+// that touch it (half a gutter of page padding plus its own half-gutter inset)
+const bleedInsets = (panel, gutter) => {
+  const { x, y, w, h } = panel.rect;
+  const out = (touches) => (panel.bleed && touches ? gutter : 0);
+  return { l: out(x === 0), t: out(y === 0), r: out(snap(x + w) >= 1), b: out(snap(y + h) >= 1) };
+};
+
+// A panel's box in page px, for a page of the given size (matches panelStyle)
+const panelBox = (panel, size, gutter = GUTTER) => {
+  const { x, y, w, h } = panel.rect;
+  const { l, t, r, b } = bleedInsets(panel, gutter);
+  return {
+    x: gutter + x * (size.w - gutter) - l,
+    y: gutter + y * (size.h - gutter) - t,
+    w: w * (size.w - gutter) - gutter + l + r,
+    h: h * (size.h - gutter) - gutter + t + b,
+  };
+};
+
+const gridRects = (cols, rows) => Array.from({ length: cols * rows }, (_, i) => ({
+  x: snap((i % cols) / cols), y: snap(Math.floor(i / cols) / rows), w: snap(1 / cols), h: snap(1 / rows),
+}));
+
+// Built-in layout presets
 const LAYOUTS = {
-  '1': { name: '1 Panel', grid: 'grid-cols-1', panels: 1 },
-  '2h': { name: '2 Panels (Horizontal)', grid: 'md:grid-cols-2', panels: 2 },
-  '2v': { name: '2 Panels (Vertical)', grid: 'grid-cols-1', panels: 2, vertical: true },
-  '4': { name: '4 Panels (2x2)', grid: 'md:grid-cols-2', panels: 4 },
+  '1': { name: '1 Panel', rects: gridRects(1, 1) },
+  '2h': { name: '2 Panels (Horizontal)', rects: gridRects(2, 1) },
+  '2v': { name: '2 Panels (Vertical)', rects: gridRects(1, 2) },
+  '3t': { name: '3 Tiers', rects: gridRects(1, 3) },
+  '4': { name: '4 Panels (2x2)', rects: gridRects(2, 2) },
+  '6': { name: '6 Panels (2x3)', rects: gridRects(2, 3) },
+  'splash': { name: 'Splash + 2', rects: [{ x: 0, y: 0, w: 1, h: 0.6 }, { x: 0, y: 0.6, w: 0.5, h: 0.4 }, { x: 0.5, y: 0.6, w: 0.5, h: 0.4 }] },
 };
 
+// User presets live in localStorage so they are available to every comic
+const CUSTOM_LAYOUTS_KEY = 'comicks:layouts';
+
+const loadCustomLayouts = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(CUSTOM_LAYOUTS_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(l => l?.id && Array.isArray(l.rects)) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const saveCustomLayouts = (list) => localStorage.setItem(CUSTOM_LAYOUTS_KEY, JSON.stringify(list));
+
+const layoutName = (presets, key) => presets[key]?.name || 'Custom layout';
+
+const isRect = (r) => r && ['x', 'y', 'w', 'h'].every(k => Number.isFinite(r[k]))
+  && r.x >= 0 && r.y >= 0 && r.w > 0 && r.h > 0 && r.x + r.w <= 1.0001 && r.y + r.h <= 1.0001;
+
+// Panel frame: `border` is drawn inside the panel edge; `slant` tilts an edge by moving
+// one of its ends inward by that many px (see panelCorners); `bleed` runs the panel off the page
+const BORDER_STYLES = { solid: 'Solid', dashed: 'Dashed', dotted: 'Dotted' };
+const DEFAULT_BORDER = { width: 0, color: '#111827', style: 'solid' };
+const NO_SLANT = { top: 0, right: 0, bottom: 0, left: 0 };
+
+const DEFAULT_PANEL = (rect = { x: 0, y: 0, w: 1, h: 1 }) => ({
+  id: uid(),
+  rect,
+  bg: '#ffffff',
+  border: { ...DEFAULT_BORDER },
+  radius: 4,
+  bleed: false,
+  slant: { ...NO_SLANT },
+  notes: '', // script description of what the panel shows
+  alt: '', // what the panel shows, for screen readers (HTML reader export)
+  order: [], // text element ids in reading order; see readingOrder
+  hold: null, // seconds the panel stays on screen in animations; null for the clip's default
+  elements: [],
+});
+
 const DEFAULT_PAGE = () => ({
+  id: uid(),
   layout: '4',
-  panels: Array.from({ length: 4 }, () => ({
-    id: uid(),
-    bg: '#ffffff',
-    elements: [],
-  }))
+  panels: LAYOUTS['4'].rects.map(DEFAULT_PANEL)
+});
+
+// --- page sizes ---
+// Logical page size in px, the units of element x/y/w/h (100 px = 1 inch in print)
+const PX_PER_INCH = 100;
+const MM_PER_INCH = 25.4;
+
+const PAGE_SIZES = {
+  'us-comic': { name: 'US comic (6.625 × 10.25 in)', w: 663, h: 1025 },
+  'a4': { name: 'A4 (210 × 297 mm)', w: 827, h: 1169 },
+  'webtoon': { name: 'Webtoon strip (800 × 1280)', w: 800, h: 1280 },
+  'square': { name: 'Square (1080 × 1080)', w: 1080, h: 1080 },
+  'screen': { name: 'Landscape 4:3 (1200 × 900)', w: 1200, h: 900 },
+};
+
+// Documents from before fixed page sizes were laid out on a roughly 4:3 board
+const pageSizeOf = (doc) => PAGE_SIZES[doc.pageSize] || PAGE_SIZES.screen;
+
+// A comic document is an ordered list of pages, each with its own layout
+const DEFAULT_DOC = () => ({
+  version: SCHEMA_VERSION, // see MIGRATIONS
+  title: 'Untitled comic',
+  pageSize: 'us-comic',
+  gutter: GUTTER,
+  pageBg: PAGE_BG,
+  lang: DEFAULT_LANG, // language the text is written in
+  locales: [], // languages it is translated into
+  pages: [DEFAULT_PAGE()],
+});
+
+// Apply a layout preset to a page: existing panels keep their content in
+// reading order, extras are dropped and missing ones added
+const withLayout = (pg, layout, presets = LAYOUTS) => {
+  const rects = (presets[layout] || LAYOUTS['4']).rects;
+  const panels = rects.map((rect, i) => pg.panels[i] ? { ...pg.panels[i], rect: { ...rect } } : DEFAULT_PANEL({ ...rect }));
+  return { ...pg, layout: presets[layout] ? layout : '4', panels };
+};
+
+// Split a panel in two: 'v' puts the halves side by side, 'h' stacks them
+const splitPanel = (pg, idx, axis) => {
+  const { x, y, w, h } = pg.panels[idx].rect;
+  const [a, b] = axis === 'v'
+    ? [{ x, y, w: snap(w / 2), h }, { x: snap(x + w / 2), y, w: snap(w - snap(w / 2)), h }]
+    : [{ x, y, w, h: snap(h / 2) }, { x, y: snap(y + h / 2), w, h: snap(h - snap(h / 2)) }];
+  if (Math.min(a.w, a.h, b.w, b.h) < MIN_PANEL) return pg;
+  const panels = pg.panels.slice();
+  const src = pg.panels[idx];
+  // The new half keeps the frame style, not the content or the slant
+  panels.splice(idx, 1, { ...src, rect: a }, { ...DEFAULT_PANEL(b), bg: src.bg, border: src.border, radius: src.radius, bleed: src.bleed });
+  return { ...pg, layout: 'custom', panels };
+};
+
+// The panel sharing a whole edge with panel idx on the given side, if any
+const neighbourOf = (panels, idx, dir) => {
+  const a = panels[idx].rect;
+  return panels.findIndex((p, j) => {
+    if (j === idx) return false;
+    const b = p.rect;
+    if (dir === 'right') return b.x === snap(a.x + a.w) && b.y === a.y && b.h === a.h;
+    if (dir === 'left') return snap(b.x + b.w) === a.x && b.y === a.y && b.h === a.h;
+    if (dir === 'down') return b.y === snap(a.y + a.h) && b.x === a.x && b.w === a.w;
+    return snap(b.y + b.h) === a.y && b.x === a.x && b.w === a.w; // up
+  });
+};
+
+// Merge panel idx with its neighbour; the neighbour's elements move across,
+// offset so they stay where they were on the page (size = page size in px)
+const mergePanels = (pg, idx, dir, size) => {
+  const j = neighbourOf(pg.panels, idx, dir);
+  if (j < 0) return pg;
+  const a = pg.panels[idx], b = pg.panels[j];
+  const x = Math.min(a.rect.x, b.rect.x), y = Math.min(a.rect.y, b.rect.y);
+  const rect = {
+    x, y,
+    w: snap(Math.max(a.rect.x + a.rect.w, b.rect.x + b.rect.w) - x),
+    h: snap(Math.max(a.rect.y + a.rect.h, b.rect.y + b.rect.h) - y),
+  };
+  const shift = (p) => (el) => ({ ...el, x: el.x + (p.rect.x - x) * size.w, y: el.y + (p.rect.y - y) * size.h });
+  const merged = { ...a, rect, order: [...(a.order || []), ...(b.order || [])], elements: [...a.elements.map(shift(a)), ...b.elements.map(shift(b))] };
+  const panels = pg.panels.map((p, i) => i === idx ? merged : p).filter((_, i) => i !== j);
+  return { ...pg, layout: 'custom', panels };
+};
+
+// Internal gutters a user can drag. A gutter is a run of panel edges on one
+// line whose spans overlap: `before` panels end at `pos`, `after` panels start there.
+const findGutters = (panels) => {
+  const out = [];
+  for (const axis of ['x', 'y']) {
+    const [pos, size, cross, crossSize] = axis === 'x' ? ['x', 'w', 'y', 'h'] : ['y', 'h', 'x', 'w'];
+    const lines = new Set(panels.map(p => p.rect[pos]).filter(v => v > 0));
+    for (const line of lines) {
+      const touching = panels
+        .map((p, i) => ({ i, side: snap(p.rect[pos] + p.rect[size]) === line ? 'before' : (p.rect[pos] === line ? 'after' : null), from: p.rect[cross], to: snap(p.rect[cross] + p.rect[crossSize]) }))
+        .filter(t => t.side)
+        .sort((a, b) => a.from - b.from);
+      let cur = null;
+      for (const t of touching) {
+        if (cur && t.from < cur.to) {
+          cur.to = Math.max(cur.to, t.to);
+          cur[t.side].push(t.i);
+        } else {
+          cur = { axis, pos: line, from: t.from, to: t.to, before: [], after: [] };
+          cur[t.side].push(t.i);
+          out.push(cur);
+        }
+      }
+    }
+  }
+  return out.filter(g => g.before.length && g.after.length);
+};
+
+// Move a gutter by d (fraction of the page), keeping every panel above MIN_PANEL
+const moveGutter = (pg, gutter, d) => {
+  const [pos, size] = gutter.axis === 'x' ? ['x', 'w'] : ['y', 'h'];
+  const lo = Math.max(...gutter.before.map(i => MIN_PANEL - pg.panels[i].rect[size]));
+  const hi = Math.min(...gutter.after.map(i => pg.panels[i].rect[size] - MIN_PANEL));
+  d = clamp(d, lo, hi);
+  const panels = pg.panels.map((p, i) => {
+    if (gutter.before.includes(i)) return { ...p, rect: { ...p.rect, [size]: snap(p.rect[size] + d) } };
+    if (gutter.after.includes(i)) return { ...p, rect: { ...p.rect, [pos]: snap(p.rect[pos] + d), [size]: snap(p.rect[size] - d) } };
+    return p;
+  });
+  return { ...pg, layout: 'custom', panels };
+};
+
+// Deep copy of a page with fresh ids, for "Duplicate page"
+const clonePage = (pg) => ({
+  ...pg,
+  id: uid(),
+  panels: pg.panels.map(pan => {
+    const ids = new Map(pan.elements.map(el => [el.id, uid()]));
+    return {
+      ...pan,
+      id: uid(),
+      order: (pan.order || []).map(id => ids.get(id)).filter(Boolean),
+      elements: pan.elements.map(el => ({ ...el, id: ids.get(el.id) })),
+    };
+  }),
+});
+
+const download = (href, filename) => {
+  const a = document.createElement('a');
+  a.href = href; a.download = filename; a.click();
+};
+
+const nextFrame = () => new Promise(res => requestAnimationFrame(() => requestAnimationFrame(res)));
+
+const allElements = (doc) => doc.pages.flatMap(pg => pg.panels.flatMap(pan => pan.elements));
+
+// Apply fn to every element on every page (returns a new doc)
+const mapElements = (doc, fn) => ({
+  ...doc,
+  pages: doc.pages.map(pg => ({
+    ...pg,
+    panels: pg.panels.map(pan => ({ ...pan, elements: pan.elements.map(fn) })),
+  })),
 });
 
 const defaultText = (subtype) => ({
@@ -36,481 +265,5309 @@ const defaultText = (subtype) => ({
   align: 'left',
   radius: subtype === 'speech' ? 16 : 8,
   weight: subtype === 'sfx' ? 800 : 600,
+  shape: subtype === 'speech' ? 'oval' : (subtype === 'caption' ? 'rect' : 'none'), // see BALLOON_SHAPES
+  tail: subtype === 'speech' ? { x: 50, y: 120 } : null, // tail tip, px from the element's top-left
+  stroke: '#111827',
+  strokeWidth: subtype === 'sfx' ? 0 : 2,
+  textStroke: subtype === 'sfx' ? 3 : 0, // outlined lettering
+  textStrokeColor: '#ffffff',
+  font: '', // a BUILTIN_FONTS key or the family of an uploaded font; '' inherits
+  letterSpacing: 0, // px
+  lineHeight: 1.5,
+  uppercase: false,
+  textShadow: null, // { x, y, blur, color }
+  fit: 'none', // see FIT_MODES
+  maxWidth: 320, // wrap width when fit is 'grow'
+  textStyle: null, // id of a named style in doc.styles
+  speaker: '', // who says it, for script export
+  translations: {}, // language code -> text, see textIn
+});
+
+// --- text styles ---
+// Elements keep a copy of their style's look fields plus its id; saving a style rewrites them
+const STYLE_PROPS = [
+  'font', 'fontSize', 'weight', 'color', 'bg', 'radius', 'align', 'shape', 'stroke', 'strokeWidth',
+  'textStroke', 'textStrokeColor', 'letterSpacing', 'lineHeight', 'uppercase', 'textShadow',
+];
+
+const styleProps = (el) => Object.fromEntries(STYLE_PROPS.filter(k => el[k] !== undefined).map(k => [k, el[k]]));
+
+const restyle = (doc, style) => mapElements(doc, el => el.textStyle === style.id ? { ...el, ...style.props } : el);
+
+// True when an element has been edited away from its style
+const driftsFromStyle = (el, style) => !!style && Object.entries(style.props).some(([k, v]) => JSON.stringify(el[k]) !== JSON.stringify(v));
+
+// --- balloons ---
+// Balloon body and tail are one SVG path, so the outline is continuous
+const BALLOON_SHAPES = { rect: 'Box', oval: 'Oval', cloud: 'Thought (cloud)', burst: 'Shout (burst)', none: 'None' };
+
+// Body outline as a ring of points around the element's centre
+const bodyPoints = (shape, w, h, radius) => {
+  const cx = w / 2, cy = h / 2, rx = w / 2, ry = h / 2;
+  const pts = [];
+  if (shape === 'rect') {
+    const r = clamp(radius, 0, Math.min(rx, ry));
+    const corners = [[w - r, r, -Math.PI / 2], [w - r, h - r, 0], [r, h - r, Math.PI / 2], [r, r, Math.PI]];
+    for (const [x, y, a0] of corners) {
+      for (let i = 0; i <= 8; i++) {
+        const a = a0 + (i / 8) * (Math.PI / 2);
+        pts.push([x + r * Math.cos(a), y + r * Math.sin(a)]);
+      }
+    }
+    return pts;
+  }
+  if (shape === 'burst') {
+    const spikes = Math.max(10, Math.round((w + h) / 24));
+    for (let k = 0; k < spikes * 2; k++) {
+      const a = -Math.PI + (k * Math.PI) / spikes;
+      const f = k % 2 ? 0.7 - ((k * 7) % 5) * 0.03 : 1; // slightly irregular inner points
+      pts.push([cx + rx * f * Math.cos(a), cy + ry * f * Math.sin(a)]);
+    }
+    return pts;
+  }
+  const n = 144;
+  const bumps = Math.max(6, Math.round((w + h) / 30));
+  for (let i = 0; i < n; i++) {
+    const a = -Math.PI + (i / n) * 2 * Math.PI;
+    const f = shape === 'cloud' ? 0.86 + 0.14 * Math.abs(Math.sin((bumps * a) / 2)) : 1;
+    pts.push([cx + rx * f * Math.cos(a), cy + ry * f * Math.sin(a)]);
+  }
+  return pts;
+};
+
+// Add points along long straight edges so a tail can cut in anywhere
+const densify = (pts, step = 6) => pts.flatMap(([x, y], i) => {
+  const [nx, ny] = pts[(i + 1) % pts.length];
+  const n = Math.floor(Math.hypot(nx - x, ny - y) / step);
+  return [[x, y], ...Array.from({ length: n }, (_, k) => [x + ((nx - x) * (k + 1)) / (n + 1), y + ((ny - y) * (k + 1)) / (n + 1)])];
 });
 
-const defaultImage = (src, natural) => ({
+// Replace the stretch of outline facing the tip with a wedge out to it.
+// Returns null when the tip is inside the body (no tail drawn).
+const withTail = (pts, cx, cy, tip, halfBase) => {
+  const len = Math.hypot(tip.x - cx, tip.y - cy) || 1;
+  const ux = (tip.x - cx) / len, uy = (tip.y - cy) / len;
+  const cut = pts.map(([x, y]) => {
+    const along = (x - cx) * ux + (y - cy) * uy;
+    return along > 0 && Math.abs((x - cx) * uy - (y - cy) * ux) < halfBase;
+  });
+  const reach = Math.max(0, ...pts.filter((_, i) => cut[i]).map(([x, y]) => (x - cx) * ux + (y - cy) * uy));
+  if (!cut.some(Boolean) || cut.every(Boolean) || len <= reach) return null;
+  const n = pts.length;
+  const start = cut.findIndex((c, i) => !c && cut[(i - 1 + n) % n]);
+  const out = [];
+  for (let k = 0; k < n; k++) {
+    const i = (start + k) % n;
+    if (!cut[i]) out.push(pts[i]);
+  }
+  out.push([tip.x, tip.y]);
+  return out;
+};
+
+// { d: body path, bubbles: [{ x, y, r }] } — thought balloons trail bubbles instead of a wedge
+const balloonGeometry = (el) => {
+  const { w, h } = el;
+  const shape = el.shape || 'rect';
+  const cx = w / 2, cy = h / 2;
+  let pts = bodyPoints(shape, w, h, el.radius ?? 12);
+  const bubbles = [];
+  if (el.tail && shape === 'cloud') {
+    const dx = el.tail.x - cx, dy = el.tail.y - cy;
+    const a = Math.atan2(dy, dx);
+    // distance from centre to the ellipse edge in the tip's direction
+    const edge = (w / 2) * (h / 2) / Math.hypot((h / 2) * Math.cos(a), (w / 2) * Math.sin(a));
+    const dist = Math.hypot(dx, dy);
+    const size = Math.min(w, h) * 0.09;
+    if (dist > edge) {
+      [[0.2, 1], [0.55, 0.7], [0.9, 0.45]].forEach(([t, f]) => {
+        const r = edge + (dist - edge) * t;
+        bubbles.push({ x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r, r: size * f });
+      });
+    }
+  } else if (el.tail) {
+    pts = withTail(densify(pts), cx, cy, el.tail, clamp(Math.min(w, h) * 0.18, 6, 30)) || pts;
+  }
+  const d = pts.map(([x, y], i) => `${i ? 'L' : 'M'}${x.toFixed(1)} ${y.toFixed(1)}`).join(' ') + ' Z';
+  return { d, bubbles };
+};
+
+// Inner padding that keeps text off a shape's curved edges
+const BALLOON_INSET = { oval: 0.14, cloud: 0.2, burst: 0.2 }; // fraction of w/h on each side
+const TEXT_PAD = 8; // the text element's own padding (p-2)
+
+const balloonPadding = (el) => {
+  const k = BALLOON_INSET[el.shape || 'rect'] || 0;
+  return k ? `${el.h * k}px ${el.w * k}px` : '0px';
+};
+
+// --- text fitting ---
+// 'shrink' lowers the rendered size only; 'grow' resizes the box, wrapping at `maxWidth`
+const FIT_MODES = { none: 'Fixed box', shrink: 'Shrink text to fit', grow: 'Grow balloon to fit' };
+const MIN_FIT_FONT = 6;
+
+// Box size whose text area is cw × ch, allowing for the balloon's inset
+const boxForContent = (el, cw, ch) => {
+  const k = BALLOON_INSET[el.shape || 'rect'] || 0;
+  return {
+    w: Math.ceil((cw + 2 * TEXT_PAD) / (1 - 2 * k)),
+    h: Math.ceil((ch + 2 * TEXT_PAD) / (1 - 2 * k)),
+  };
+};
+
+const contentWidthFor = (el, w) => w * (1 - 2 * (BALLOON_INSET[el.shape || 'rect'] || 0)) - 2 * TEXT_PAD;
+
+const defaultImage = (src, natural, asset = null) => ({
   id: uid(),
   type: 'image',
   src,
+  asset, // content hash of the image binary (see assets below)
   x: 24, y: 24,
   w: Math.min(300, natural?.width || 300),
   h: Math.min(220, natural?.height || 220),
   z: 0,
   rotate: 0,
+  crop: { ...DEFAULT_CROP },
+  flipX: false,
+  flipY: false,
+  opacity: 1,
+  filter: { type: 'none' },
+  alt: '',
 });
 
-// --- App ---
-function App() {
-  const [page, setPage] = useState(DEFAULT_PAGE);
-  const [selection, setSelection] = useState({ panelIdx: 0, elId: null });
-  const boardRef = useRef(null);
+// --- strokes ---
+// `points` are [x, y, pressure] in a `vw` × `vh` box stretched over the element's w × h
+const DRAW_TOOLS = { pen: 'Pen', brush: 'Brush', line: 'Line', rect: 'Box', ellipse: 'Ellipse', eraser: 'Eraser' };
+const SHAPE_TOOLS = ['line', 'rect', 'ellipse'];
+const DEFAULT_BRUSH = { tool: 'pen', width: 4, color: '#111827', pressure: true };
 
-  // Keep panels array length in sync with layout preset
-  useEffect(() => {
-    const need = LAYOUTS[page.layout].panels;
-    setPage(p => {
-      let panels = p.panels.slice(0, need);
-      while (panels.length < need) panels.push({ id: uid(), bg: '#ffffff', elements: [] });
-      return { ...p, panels };
-    });
-  }, [page.layout]);
+// Mouse reports a flat 0.5 while a button is down; treat that as "normal" width
+const pressureOf = (e) => clamp((e.pressure || 0.5) * 2, 0.1, 2);
 
-  const setPanel = (idx, patch) => {
-    setPage(p => {
-      const panels = p.panels.map((pan, i) => i === idx ? { ...pan, ...patch } : pan);
-      return { ...p, panels };
+// Pen and shapes are stroked paths; the brush is a filled outline whose width follows pressure
+const strokePath = (el) => {
+  const pts = el.points || [];
+  if (!pts.length) return '';
+  const f = (n) => n.toFixed(1);
+  if (SHAPE_TOOLS.includes(el.tool)) {
+    const [[x1, y1], [x2, y2] = pts[0]] = pts;
+    if (el.tool === 'line') return `M${f(x1)} ${f(y1)} L${f(x2)} ${f(y2)}`;
+    if (el.tool === 'rect') return `M${f(x1)} ${f(y1)} H${f(x2)} V${f(y2)} H${f(x1)} Z`;
+    const rx = Math.abs(x2 - x1) / 2, ry = Math.abs(y2 - y1) / 2, cx = (x1 + x2) / 2, cy = (y1 + y2) / 2;
+    return `M${f(cx - rx)} ${f(cy)} A${f(rx)} ${f(ry)} 0 1 0 ${f(cx + rx)} ${f(cy)} A${f(rx)} ${f(ry)} 0 1 0 ${f(cx - rx)} ${f(cy)} Z`;
+  }
+  if (el.tool === 'brush') {
+    if (pts.length === 1) {
+      const [[x, y, p]] = pts, r = (el.width * p) / 2;
+      return `M${f(x - r)} ${f(y)} A${f(r)} ${f(r)} 0 1 0 ${f(x + r)} ${f(y)} A${f(r)} ${f(r)} 0 1 0 ${f(x - r)} ${f(y)} Z`;
+    }
+    const left = [], right = [];
+    pts.forEach(([x, y, p], i) => {
+      const [ax, ay] = pts[Math.max(0, i - 1)], [bx, by] = pts[Math.min(pts.length - 1, i + 1)];
+      const len = Math.hypot(bx - ax, by - ay) || 1;
+      const nx = -(by - ay) / len, ny = (bx - ax) / len;
+      const r = (el.width * (el.pressure === false ? 1 : p)) / 2;
+      left.push([x + nx * r, y + ny * r]);
+      right.push([x - nx * r, y - ny * r]);
     });
-  };
+    const cap = (r, [x, y]) => `A${f(r)} ${f(r)} 0 0 1 ${f(x)} ${f(y)}`;
+    const rEnd = Math.hypot(left.at(-1)[0] - right.at(-1)[0], left.at(-1)[1] - right.at(-1)[1]) / 2;
+    const rStart = Math.hypot(left[0][0] - right[0][0], left[0][1] - right[0][1]) / 2;
+    return `M${f(left[0][0])} ${f(left[0][1])} `
+      + left.slice(1).map(([x, y]) => `L${f(x)} ${f(y)}`).join(' ')
+      + ` ${cap(rEnd, right.at(-1))} `
+      + right.reverse().slice(1).map(([x, y]) => `L${f(x)} ${f(y)}`).join(' ')
+      + ` ${cap(rStart, left[0])} Z`;
+  }
+  // pen: smoothed through the midpoints
+  if (pts.length < 3) return `M${f(pts[0][0])} ${f(pts[0][1])} ` + pts.map(([x, y]) => `L${f(x)} ${f(y)}`).join(' ');
+  let d = `M${f(pts[0][0])} ${f(pts[0][1])}`;
+  for (let i = 1; i < pts.length - 1; i++) {
+    const [x, y] = pts[i], [nx, ny] = pts[i + 1];
+    d += ` Q${f(x)} ${f(y)} ${f((x + nx) / 2)} ${f((y + ny) / 2)}`;
+  }
+  const [lx, ly] = pts.at(-1);
+  return `${d} L${f(lx)} ${f(ly)}`;
+};
 
-  const mutateElement = (panelIdx, elId, patch) => {
-    setPage(p => {
-      const panels = p.panels.map((pan, i) => {
-        if (i !== panelIdx) return pan;
-        const elements = pan.elements.map(el => el.id === elId ? { ...el, ...patch } : el);
-        return { ...pan, elements };
-      });
-      return { ...p, panels };
-    });
-  };
+const strokePaint = (el) => el.tool === 'brush'
+  ? { fill: el.color, stroke: 'none' }
+  : { fill: 'none', stroke: el.color, strokeWidth: el.width, strokeLinecap: 'round', strokeLinejoin: 'round' };
 
-  const addText = (panelIdx, subtype) => {
-    setPanel(panelIdx, { elements: [...page.panels[panelIdx].elements, defaultText(subtype)] });
+// Turn points drawn in panel px into an element that fits them
+const strokeElement = (points, brush) => {
+  const pad = brush.width * (brush.tool === 'brush' ? 1 : 0.5) + 1;
+  const xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+  const x = Math.min(...xs) - pad, y = Math.min(...ys) - pad;
+  const w = Math.max(...xs) - x + pad, h = Math.max(...ys) - y + pad;
+  return {
+    id: uid(),
+    type: 'stroke',
+    tool: brush.tool,
+    points: points.map(([px, py, p]) => [+(px - x).toFixed(1), +(py - y).toFixed(1), +p.toFixed(2)]),
+    vw: w, vh: h,
+    x, y, w, h,
+    color: brush.color,
+    width: brush.width,
+    pressure: brush.pressure,
+    z: 1,
+    rotate: 0,
   };
+};
 
-  const addImage = async (panelIdx, file) => {
-    if (!file) return;
-    const url = URL.createObjectURL(file);
-    // Try to probe natural size
-    const probe = await new Promise(res => {
-      const img = new Image();
-      img.onload = () => res({ width: img.naturalWidth, height: img.naturalHeight });
-      img.onerror = () => res(null);
-      img.src = url;
-    });
-    setPanel(panelIdx, { elements: [...page.panels[panelIdx].elements, defaultImage(url, probe)] });
-  };
+// The line a stroke actually draws, in its own vw × vh box
+const strokeOutline = (el) => {
+  const pts = el.points || [];
+  if (!SHAPE_TOOLS.includes(el.tool) || el.tool === 'line' || pts.length < 2) return pts;
+  const [[x1, y1], [x2, y2]] = pts;
+  if (el.tool === 'rect') return [[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]];
+  return Array.from({ length: 33 }, (_, i) => {
+    const a = (i / 32) * Math.PI * 2;
+    return [(x1 + x2) / 2 + Math.cos(a) * (x2 - x1) / 2, (y1 + y2) / 2 + Math.sin(a) * (y2 - y1) / 2];
+  });
+};
 
-  const removeElement = (panelIdx, elId) => {
-    setPage(p => {
-      const panels = p.panels.map((pan, i) => {
-        if (i !== panelIdx) return pan;
-        return { ...pan, elements: pan.elements.filter(el => el.id !== elId) };
-      });
-      return { ...p, panels };
-    });
-    setSelection(s => ({ ...s, elId: null }));
-  };
+// ... in panel px, following the element's move, resize and rotation
+const strokeInPanel = (el) => {
+  const sx = el.w / (el.vw || el.w), sy = el.h / (el.vh || el.h);
+  const a = ((el.rotate || 0) * Math.PI) / 180, cos = Math.cos(a), sin = Math.sin(a);
+  return strokeOutline(el).map(([px, py]) => {
+    const lx = px * sx - el.w / 2, ly = py * sy - el.h / 2;
+    return [el.x + el.w / 2 + lx * cos - ly * sin, el.y + el.h / 2 + lx * sin + ly * cos];
+  });
+};
 
-  // Export PNG and bump dashboard count
-  const exportPNG = async () => {
-    if (!boardRef.current) return;
-    try {
-      const dataUrl = await toPng(boardRef.current, {
-        pixelRatio: 2,
-        cacheBust: true,
-        backgroundColor: '#ffffff'
-      });
-      const a = document.createElement('a');
-      a.href = dataUrl;
-      a.download = `comic-${Date.now()}.png`;
-      a.click();
-      const n = Number(localStorage.getItem('comicsCount') || '0') + 1;
-      localStorage.setItem('comicsCount', String(n));
-      alert('Exported PNG and updated dashboard count.');
-    } catch (e) {
-      console.error(e);
-      alert('Export failed. (CORS or memory). Try smaller images.');
+const distToSegment = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax, dy = by - ay;
+  const t = dx || dy ? clamp(((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy), 0, 1) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+// Ids of the strokes an eraser path passes over (the eraser removes whole strokes)
+const erasedStrokes = (elements, points, radius) => {
+  // Sample the eraser path finely enough that a quick swipe cannot jump over a line
+  const step = Math.max(1, radius / 2);
+  const path = points.flatMap(([x, y], i) => {
+    if (!i) return [[x, y]];
+    const [px, py] = points[i - 1];
+    const n = Math.ceil(Math.hypot(x - px, y - py) / step);
+    return Array.from({ length: n }, (_, k) => [px + ((x - px) * (k + 1)) / n, py + ((y - py) * (k + 1)) / n]);
+  });
+  return elements
+    .filter(el => el.type === 'stroke' && el.points?.length && !el.locked && !el.hidden)
+    .filter(el => {
+      const pts = strokeInPanel(el);
+      const reach = radius + (el.width * Math.max(el.w / (el.vw || el.w), el.h / (el.vh || el.h))) / 2;
+      const segs = pts.length > 1 ? pts.slice(1).map((p, i) => [pts[i], p]) : [[pts[0], pts[0]]];
+      return path.some(p => segs.some(([a, b]) => distToSegment(p, a, b) <= reach));
+    })
+    .map(el => el.id);
+};
+
+// --- fonts & rich text ---
+// doc.fonts: { id, family, asset, type }; the binary lives in the asset store like images
+const BUILTIN_FONTS = {
+  '': { name: 'Default', css: 'inherit' },
+  comic: { name: 'Comic (system)', css: '"Comic Sans MS", "Comic Neue", "Chalkboard SE", cursive' },
+  impact: { name: 'Impact', css: 'Impact, "Arial Black", sans-serif' },
+  serif: { name: 'Serif', css: 'Georgia, "Times New Roman", serif' },
+  mono: { name: 'Monospace', css: 'ui-monospace, Menlo, monospace' },
+};
+const FONT_TYPES = { ttf: 'font/ttf', otf: 'font/otf', woff: 'font/woff', woff2: 'font/woff2' };
+const FONT_FORMATS = { 'font/ttf': 'truetype', 'font/otf': 'opentype', 'font/woff': 'woff', 'font/woff2': 'woff2' };
+
+const fontStack = (font) => BUILTIN_FONTS[font || '']?.css || `${JSON.stringify(font)}, sans-serif`;
+
+const fontFaceCSS = (font, src) =>
+  `@font-face { font-family: ${JSON.stringify(font.family)}; src: url("${src}") format("${FONT_FORMATS[font.type] || 'truetype'}"); font-display: block; }`;
+
+const installFonts = (fonts) => {
+  let tag = document.getElementById('comicks-fonts');
+  if (!tag) {
+    tag = document.createElement('style');
+    tag.id = 'comicks-fonts';
+    document.head.appendChild(tag);
+  }
+  tag.textContent = fonts.filter(f => assetURL(f.asset)).map(f => fontFaceCSS(f, assetURL(f.asset))).join('\n');
+};
+
+// The same rules with each font as a data: URL, so exported images never depend on blob: URLs
+const embeddedFontCSS = async (fonts) => {
+  const rules = [];
+  for (const f of fonts) {
+    const blob = assetCache.get(f.asset)?.blob;
+    if (blob) rules.push(fontFaceCSS(f, `data:${f.type};base64,${await blobToBase64(blob)}`));
+  }
+  return rules.join('\n');
+};
+
+// Inline markup in text elements: **bold**, *italic*, {#e11d48:coloured words}. Marks nest.
+const RICH_MARK = /\*\*(.+?)\*\*|\*(.+?)\*|\{(#[0-9a-fA-F]{3,8}):(.+?)\}/s;
+
+const richText = (text, key = 'r') => {
+  const out = [];
+  let rest = String(text ?? '');
+  let n = 0;
+  for (let m = rest.match(RICH_MARK); m; m = rest.match(RICH_MARK)) {
+    if (m.index) out.push(rest.slice(0, m.index));
+    const k = `${key}.${n++}`;
+    if (m[1] !== undefined) out.push(<strong key={k} style={{ fontWeight: 900 }}>{richText(m[1], k)}</strong>);
+    else if (m[2] !== undefined) out.push(<em key={k}>{richText(m[2], k)}</em>);
+    else out.push(<span key={k} style={{ color: m[3] }}>{richText(m[4], k)}</span>);
+    rest = rest.slice(m.index + m[0].length);
+  }
+  if (rest) out.push(rest);
+  return out;
+};
+
+// Text with the markup removed, for places that need the words only
+const plainText = (text) => String(text ?? '').replace(new RegExp(RICH_MARK.source, 'gs'), (_, b, i, c, col) => plainText(b ?? i ?? col));
+
+// --- selection & arrangement ---
+// Selection lives in one panel: `elIds` all selected, `elId` the one the Inspector edits
+const selectionOf = (panelIdx, elIds = []) => ({ panelIdx, elId: elIds[elIds.length - 1] ?? null, elIds });
+
+// Grouped elements are selected together
+const withGroups = (elements, ids) => {
+  const groups = new Set(elements.filter(el => ids.includes(el.id) && el.group).map(el => el.group));
+  return elements.filter(el => ids.includes(el.id) || (el.group && groups.has(el.group))).map(el => el.id);
+};
+
+const bounds = (els) => {
+  const x = Math.min(...els.map(e => e.x)), y = Math.min(...els.map(e => e.y));
+  return { x, y, w: Math.max(...els.map(e => e.x + e.w)) - x, h: Math.max(...els.map(e => e.y + e.h)) - y };
+};
+
+// Align to the selection's bounds, or to `frame` (the panel) for a single element
+const alignPatches = (els, how, frame) => {
+  const b = els.length > 1 ? bounds(els) : frame;
+  const at = {
+    left: () => ({ x: b.x }),
+    center: el => ({ x: b.x + (b.w - el.w) / 2 }),
+    right: el => ({ x: b.x + b.w - el.w }),
+    top: () => ({ y: b.y }),
+    middle: el => ({ y: b.y + (b.h - el.h) / 2 }),
+    bottom: el => ({ y: b.y + b.h - el.h }),
+  }[how];
+  return Object.fromEntries(els.map(el => [el.id, at(el)]));
+};
+
+// Equal gaps between elements along an axis; the outermost two stay put
+const distributePatches = (els, axis) => {
+  const [pos, size] = axis === 'x' ? ['x', 'w'] : ['y', 'h'];
+  const sorted = els.slice().sort((a, b) => a[pos] - b[pos]);
+  const first = sorted[0], last = sorted[sorted.length - 1];
+  const used = sorted.reduce((t, el) => t + el[size], 0);
+  const gap = (last[pos] + last[size] - first[pos] - used) / (sorted.length - 1);
+  let at = first[pos];
+  return Object.fromEntries(sorted.map(el => {
+    const patch = [el.id, { [pos]: at }];
+    at += el[size] + gap;
+    return patch;
+  }));
+};
+
+// Layers: every element may carry a `name`, and be `hidden` (not drawn, so not
+// exported) or `locked` (the pointer passes through it)
+const elementLabel = (el) => el.name || (el.type === 'text'
+  ? plainText(el.text).trim().slice(0, 24) || 'Text'
+  : el.type === 'image' ? 'Image' : DRAW_TOOLS[el.tool] || 'Drawing');
+
+// Elements top of the stack first; equal z keeps document order (later is on top)
+const stackOrder = (elements) => elements
+  .map((el, i) => [el, i])
+  .sort(([a, i], [b, j]) => ((b.z ?? 0) - (a.z ?? 0)) || (j - i))
+  .map(([el]) => el);
+
+// z patches for a top-first list: the bottom element gets 0
+const restackPatches = (topFirst) => Object.fromEntries(topFirst.map((el, i) => [el.id, { z: topFirst.length - 1 - i }]));
+
+// Snap a moving box's edges/centre to the nearest target within `threshold`.
+// Returns the correction and the guide lines to show.
+const snapBox = (box, xs, ys, threshold, { edgesOnly = false } = {}) => {
+  const pick = (edges, targets) => {
+    let best = null;
+    for (const e of edges) for (const t of targets) {
+      const d = t - e;
+      if (Math.abs(d) <= threshold && (!best || Math.abs(d) < Math.abs(best.d))) best = { d, pos: t };
     }
+    return best;
   };
+  const bx = pick(edgesOnly ? [box.x + box.w] : [box.x, box.x + box.w / 2, box.x + box.w], xs);
+  const by = pick(edgesOnly ? [box.y + box.h] : [box.y, box.y + box.h / 2, box.y + box.h], ys);
+  const guides = [];
+  if (bx) guides.push({ axis: 'x', pos: bx.pos });
+  if (by) guides.push({ axis: 'y', pos: by.pos });
+  return { dx: bx?.d || 0, dy: by?.d || 0, guides };
+};
 
-  // Save / Load JSON
-  const saveJSON = () => {
-    const blob = new Blob([JSON.stringify(page)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'comic.json'; a.click();
-  };
+const SNAP_PX = 6; // screen px
 
-  const loadJSON = (file) => {
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const doc = JSON.parse(reader.result);
-        if (!doc || !Array.isArray(doc.panels)) throw new Error('Invalid format');
-        setPage({
-          layout: doc.layout in LAYOUTS ? doc.layout : '4',
-          panels: doc.panels.map(p => ({
-            id: p.id || uid(),
-            bg: p.bg || '#ffffff',
-            elements: Array.isArray(p.elements) ? p.elements.map(sanitizeElement) : []
-          }))
-        });
-      } catch (e) {
-        alert('Invalid JSON.');
+// Panel edges and centre lines, plus the edges and centres of the other elements
+const snapTargets = (w, h, others) => ({
+  xs: [0, w / 2, w, ...others.flatMap(o => [o.x, o.x + o.w / 2, o.x + o.w])],
+  ys: [0, h / 2, h, ...others.flatMap(o => [o.y, o.y + o.h / 2, o.y + o.h])],
+});
+
+// Resize handles as unit offsets from the box centre: -1 left/top, 1 right/bottom
+const HANDLE_DIRS = { nw: [-1, -1], n: [0, -1], ne: [1, -1], e: [1, 0], se: [1, 1], s: [0, 1], sw: [-1, 1], w: [-1, 0] };
+
+const rotateVec = (x, y, deg) => {
+  const a = (deg * Math.PI) / 180, cos = Math.cos(a), sin = Math.sin(a);
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+// New box after dragging handle `dir` of `r` by (dx, dy) page px, in the box's rotated axes.
+// The opposite handle stays put; `keepAspect` scales both sides together
+const resizeBox = (r, dir, dx, dy, { keepAspect = false, min = 20 } = {}) => {
+  const [hx, hy] = HANDLE_DIRS[dir];
+  const rot = r.rotate || 0;
+  const d = rotateVec(dx, dy, -rot);
+  let w = hx ? Math.max(min, r.w + hx * d.x) : r.w;
+  let h = hy ? Math.max(min, r.h + hy * d.y) : r.h;
+  if (keepAspect) {
+    const k = Math.max(hx && hy ? Math.max(w / r.w, h / r.h) : hx ? w / r.w : h / r.h, min / Math.min(r.w, r.h));
+    w = r.w * k;
+    h = r.h * k;
+  }
+  const from = rotateVec((-hx * r.w) / 2, (-hy * r.h) / 2, rot);
+  const to = rotateVec((-hx * w) / 2, (-hy * h) / 2, rot);
+  const cx = r.x + r.w / 2 + from.x - to.x, cy = r.y + r.h / 2 + from.y - to.y;
+  return { x: cx - w / 2, y: cy - h / 2, w, h };
+};
+
+// Degrees from the centre `c` to point `p`, clockwise from the x axis
+const angleTo = (c, p) => (Math.atan2(p.y - c.y, p.x - c.x) * 180) / Math.PI;
+
+// Into (-180, 180]; Shift-rotating snaps to 15°
+const ROTATE_STEP = 15;
+const normalizeAngle = (deg) => {
+  const a = ((deg % 360) + 360) % 360;
+  return a > 180 ? a - 360 : a;
+};
+
+// --- webtoon ---
+// Vertical extent (tails and rotation included) of each text element in a panel, in page px
+const textSpans = (panel, box) => panel.elements
+  .filter(el => el.type === 'text' && !el.hidden)
+  .map(el => {
+    const a = ((el.rotate || 0) * Math.PI) / 180;
+    const half = (Math.abs(el.w * Math.sin(a)) + Math.abs(el.h * Math.cos(a))) / 2;
+    const cy = el.y + el.h / 2;
+    let top = cy - half, bottom = cy + half;
+    if (el.tail) { top = Math.min(top, el.y + el.tail.y); bottom = Math.max(bottom, el.y + el.tail.y); }
+    return [box.y + Math.max(0, top), box.y + Math.min(box.h, bottom)];
+  })
+  .filter(([a, b]) => b > a);
+
+// Cut [0, total) into slices no taller than maxH, moving each cut up out of
+// any forbidden span. A span taller than a slice has to be cut anyway.
+const sliceStrip = (total, maxH, forbidden) => {
+  const out = [];
+  let y = 0;
+  while (y < total) {
+    let end = Math.min(total, y + maxH);
+    if (end < total) {
+      let moved = true;
+      while (moved) {
+        moved = false;
+        for (const [a, b] of forbidden) {
+          if (a < end && end < b) { end = a; moved = true; }
+        }
       }
-    };
-    reader.readAsText(file);
-  };
+      if (end <= y) end = Math.min(total, y + maxH);
+    }
+    out.push([y, end]);
+    y = end;
+  }
+  return out;
+};
 
-  const sanitizeElement = (el) => {
-    if (el.type === 'image') {
-      return {
-        ...defaultImage(el.src || '', { width: el.w, height: el.h }),
-        x: clamp(el.x ?? 24, 0, 10_000),
-        y: clamp(el.y ?? 24, 0, 10_000),
-        w: clamp(el.w ?? 300, 10, 10_000),
-        h: clamp(el.h ?? 220, 10, 10_000),
-        z: el.z ?? 0,
-        rotate: el.rotate ?? 0
-      };
+// --- reading order ---
+// A panel's visible text elements: panel.order first, then the rest top to bottom, left to right
+const readingOrder = (panel) => {
+  const order = panel.order || [];
+  const rank = (el) => (order.includes(el.id) ? order.indexOf(el.id) : Infinity);
+  return panel.elements
+    .filter(el => el.type === 'text' && !el.hidden)
+    .sort((a, b) => (rank(a) - rank(b)) || (a.y - b.y) || (a.x - b.x));
+};
+
+// --- script ---
+// Plain ("PAGE 1" / "PANEL 2" / "NAME: line") and Fountain-style scripts parse to
+// { title, pages: [{ panels: [{ notes, lines: [{ kind, speaker, text }] }] }] }
+const CAPTION_NAMES = ['CAPTION', 'CAP', 'NARRATOR', 'NARRATION'];
+const SFX_NAMES = ['SFX', 'FX', 'SOUND'];
+
+const PAGE_RE = /^(?:#\s*)?page\s+([\w-]+)\b.*$/i;
+const PANEL_RE = /^(?:#{1,3}\s*)?panel\s+([\w-]+)\b.*$/i;
+const LINE_RE = /^(?:\d+[.)]\s*)?([A-Z0-9][A-Z0-9 .'&-]*?)\s*(?:\(([^)]*)\))?\s*:\s*(.+)$/;
+const CUE_RE = /^@?([A-Z][A-Z0-9 .'&-]*?)\s*(?:\(([^)]*)\))?\s*\^?$/;
+
+const scriptLine = (name, ext, text) => {
+  const speaker = name.trim().toUpperCase();
+  const extension = (ext || '').trim().toUpperCase();
+  if (CAPTION_NAMES.includes(speaker)) return { kind: 'caption', speaker: speaker === 'CAPTION' || speaker === 'CAP' ? '' : speaker, text };
+  if (SFX_NAMES.includes(speaker)) return { kind: 'sfx', speaker: '', text };
+  return { kind: /THOUGHT|THINK/.test(extension) ? 'thought' : 'speech', speaker, text };
+};
+
+const parseScript = (source) => {
+  const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+  const out = { title: '', pages: [] };
+  let page = null, panel = null;
+  const newPage = () => { page = { panels: [] }; panel = null; out.pages.push(page); };
+  const newPanel = () => { if (!page) newPage(); panel = { notes: '', lines: [] }; page.panels.push(panel); };
+  const current = () => { if (!panel) newPanel(); return panel; };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const title = !out.pages.length && line.match(/^Title:\s*(.+)$/);
+    if (title) { out.title = title[1].trim(); continue; }
+    if (/^={3,}$/.test(line)) { newPage(); continue; }
+    if (PAGE_RE.test(line)) { newPage(); continue; }
+    if (PANEL_RE.test(line)) { newPanel(); continue; }
+    const said = line.match(LINE_RE);
+    if (said) { current().lines.push(scriptLine(said[1], said[2], said[3].trim())); continue; }
+    // Fountain: a cue in capitals with its dialogue on the following lines
+    const cue = line.match(CUE_RE);
+    const next = (lines[i + 1] || '').trim();
+    if (cue && next && /[A-Z]/.test(cue[1]) && !/^(INT|EXT|CUT TO|FADE)/.test(line)) {
+      const text = [];
+      while (i + 1 < lines.length && lines[i + 1].trim()) {
+        const l = lines[++i].trim();
+        if (!/^\(.*\)$/.test(l)) text.push(l); // parentheticals are directions, not words
+      }
+      current().lines.push(scriptLine(cue[1], cue[2], text.join(' ')));
+      continue;
     }
-    // text
-    const subtype = ['speech', 'caption', 'sfx'].includes(el.subtype) ? el.subtype : 'speech';
-    return {
-      ...defaultText(subtype),
-      text: String(el.text ?? '').slice(0, 2000),
-      x: clamp(el.x ?? 24, 0, 10_000),
-      y: clamp(el.y ?? 24, 0, 10_000),
-      w: clamp(el.w ?? 200, 40, 10_000),
-      h: clamp(el.h ?? 80, 30, 10_000),
-      fontSize: clamp(el.fontSize ?? 20, 8, 160),
-      color: el.color || '#111827',
-      bg: el.bg || (subtype === 'caption' ? '#fef3c7' : '#ffffffcc'),
-      rotate: el.rotate ?? 0,
-      z: el.z ?? 1,
-      align: ['left','center','right'].includes(el.align) ? el.align : 'left',
-      radius: clamp(el.radius ?? (subtype === 'speech' ? 16 : 8), 0, 64),
-      weight: clamp(el.weight ?? (subtype === 'sfx' ? 800 : 600), 100, 900),
+    const p = current();
+    p.notes = p.notes ? `${p.notes}\n${line}` : line;
+  }
+  return out;
+};
+
+// Panel rects for n panels: stacked tiers up to three, then two columns with a
+// full-width last panel when the count is odd
+const scriptRects = (n) => {
+  if (n <= 3) return gridRects(1, n);
+  const rows = Math.ceil(n / 2);
+  const rects = gridRects(2, rows).slice(0, n);
+  if (n % 2) rects[n - 1] = { ...rects[n - 1], w: 1 };
+  return rects;
+};
+
+// Pre-placed balloons, top to bottom in reading order, alternating sides. They
+// grow to fit their text the first time their page is shown.
+const scriptElements = (lines, box) => {
+  let y = 12;
+  return lines.map((line, i) => {
+    const subtype = line.kind === 'thought' ? 'speech' : line.kind;
+    const base = defaultText(subtype);
+    const maxWidth = Math.round(clamp(box.w * 0.6, 120, 320));
+    const lineCount = Math.ceil((line.text.length * base.fontSize * 0.55) / (maxWidth - 40)) || 1;
+    const h = Math.round(lineCount * base.fontSize * 1.5 + 40);
+    const w = Math.min(maxWidth, Math.round(line.text.length * base.fontSize * 0.55 + 60));
+    const x = line.kind === 'caption' ? 12 : (i % 2 ? Math.max(12, box.w - w - 12) : 12);
+    const el = {
+      ...base,
+      text: line.text,
+      speaker: line.speaker,
+      x, y, w, h,
+      fit: 'grow',
+      maxWidth,
+      shape: line.kind === 'thought' ? 'cloud' : base.shape,
+      tail: base.tail ? { x: w / 3, y: h + 30 } : null,
     };
-  };
+    y = Math.min(y + h + (el.tail ? 40 : 12), Math.max(12, box.h - 60));
+    return el;
+  });
+};
 
-  // Keyboard: delete and nudge
-  useEffect(() => {
-    const onKey = (e) => {
-      if (!document.activeElement || document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA') return;
-      const { panelIdx, elId } = selection;
-      if (elId == null) return;
-      const step = e.shiftKey ? 10 : 1;
-      if (e.key === 'Delete' || e.key === 'Backspace') {
-        e.preventDefault();
-        removeElement(panelIdx, elId);
-      } else if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight'].includes(e.key)) {
-        e.preventDefault();
-        const el = page.panels[panelIdx]?.elements.find(x => x.id === elId);
-        if (!el) return;
-        const dx = (e.key === 'ArrowRight') ? step : (e.key === 'ArrowLeft' ? -step : 0);
-        const dy = (e.key === 'ArrowDown') ? step : (e.key === 'ArrowUp' ? -step : 0);
-        mutateElement(panelIdx, elId, { x: el.x + dx, y: el.y + dy });
-      } else if (e.key === ']') {
-        e.preventDefault();
-        const el = page.panels[panelIdx]?.elements.find(x => x.id === elId);
-        if (el) mutateElement(panelIdx, elId, { z: (el.z ?? 0) + 1 });
-      } else if (e.key === '[') {
-        e.preventDefault();
-        const el = page.panels[panelIdx]?.elements.find(x => x.id === elId);
-        if (el) mutateElement(panelIdx, elId, { z: Math.max(0, (el.z ?? 0) - 1) });
-      }
+// Comic pages for a parsed script (size/gutter: the document's page geometry)
+const scriptPages = (script, size, gutter) => script.pages.filter(pg => pg.panels.length).map(pg => {
+  const rects = scriptRects(pg.panels.length);
+  const preset = Object.keys(LAYOUTS).find(k => JSON.stringify(LAYOUTS[k].rects) === JSON.stringify(rects));
+  const panels = pg.panels.map((p, i) => {
+    const panel = { ...DEFAULT_PANEL({ ...rects[i] }), notes: p.notes };
+    return { ...panel, elements: scriptElements(p.lines, panelBox(panel, size, gutter)) };
+  });
+  return { id: uid(), layout: preset || 'custom', panels };
+});
+
+// The document as a plain script, balloons in reading order
+const writeScript = (doc) => {
+  const out = [];
+  if (doc.title) out.push(`Title: ${doc.title}`, '');
+  doc.pages.forEach((pg, p) => {
+    out.push(`PAGE ${p + 1}`, '');
+    pg.panels.forEach((pan, i) => {
+      out.push(`PANEL ${i + 1}`);
+      if (pan.notes) out.push(pan.notes);
+      readingOrder(pan).forEach((el, n) => {
+        const words = String(el.text || '').replace(/\s*\n\s*/g, ' ');
+        const name = el.subtype === 'caption' ? (el.speaker || 'CAPTION')
+          : el.subtype === 'sfx' ? 'SFX'
+          : `${el.speaker || 'UNKNOWN'}${el.shape === 'cloud' ? ' (THOUGHT)' : ''}`;
+        out.push(`${n + 1}. ${name}: ${words}`);
+      });
+      out.push('');
+    });
+  });
+  return out.join('\n');
+};
+
+// --- translations ---
+// el.text is in doc.lang; other languages live in el.translations[code] over the same layout
+const DEFAULT_LANG = 'en';
+const STRING_FORMATS = { csv: 'CSV (spreadsheet)', po: 'PO (gettext)', xliff: 'XLIFF 1.2' };
+const LANG_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const baseLang = (doc) => doc.lang || DEFAULT_LANG;
+const languagesOf = (doc) => [baseLang(doc), ...(doc.locales || [])];
+
+// What a text element says in `lang`, falling back to the base text
+const textIn = (el, lang) => (lang && el.translations?.[lang]?.trim() ? el.translations[lang] : el.text);
+
+const isUntranslated = (el, lang) => el.type === 'text' && !!lang
+  && !!plainText(el.text).trim() && !el.translations?.[lang]?.trim();
+
+const untranslated = (doc, lang) => (lang === baseLang(doc) ? [] : allElements(doc).filter(el => isUntranslated(el, lang)));
+
+// One row per text element, in page/panel order
+const stringRows = (doc, lang) => doc.pages.flatMap((pg, p) => pg.panels.flatMap((pan, i) => pan.elements
+  .filter(el => el.type === 'text' && el.text.trim())
+  .map(el => ({ id: el.id, where: `Page ${p + 1}, panel ${i + 1}`, speaker: el.speaker || '', source: el.text, target: el.translations?.[lang] || '' }))));
+
+const csvCell = (v) => (/[",\n\r]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+const poString = (v) => `"${v.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+const xmlText = (v) => v.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const writeStrings = (doc, lang, format) => {
+  const rows = stringRows(doc, lang);
+  const base = baseLang(doc);
+  if (format === 'po') {
+    return [
+      'msgid ""',
+      'msgstr ""',
+      `"Language: ${lang}\\n"`,
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      '',
+      ...rows.flatMap(r => [`#. ${r.where}${r.speaker ? ` (${r.speaker})` : ''}`, `msgctxt ${poString(r.id)}`, `msgid ${poString(r.source)}`, `msgstr ${poString(r.target)}`, '']),
+    ].join('\n');
+  }
+  if (format === 'xliff') {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+      `  <file original="${xmlText(doc.title || 'comic')}" source-language="${base}" target-language="${lang}" datatype="plaintext">`,
+      '    <body>',
+      ...rows.map(r => [
+        `      <trans-unit id="${xmlText(r.id)}">`,
+        `        <source>${xmlText(r.source)}</source>`,
+        `        <target>${xmlText(r.target)}</target>`,
+        `        <note>${xmlText(r.where + (r.speaker ? ` (${r.speaker})` : ''))}</note>`,
+        '      </trans-unit>',
+      ].join('\n')),
+      '    </body>',
+      '  </file>',
+      '</xliff>',
+    ].join('\n');
+  }
+  return [['id', 'where', 'speaker', base, lang], ...rows.map(r => [r.id, r.where, r.speaker, r.source, r.target])]
+    .map(cols => cols.map(csvCell).join(',')).join('\r\n');
+};
+
+const parseCSV = (text) => {
+  const rows = [[]];
+  let cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { rows[rows.length - 1].push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(cell); cell = '';
+      rows.push([]);
+    } else cell += c;
+  }
+  rows[rows.length - 1].push(cell);
+  return rows.filter(r => r.some(Boolean));
+};
+
+const unPO = (v) => v.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c === 't' ? '\t' : c));
+
+// A translator's file back as { lang, strings: { elementId: text } }; lang is null
+// when the file does not say (PO without a Language header)
+const parseStrings = (text, name = '') => {
+  const src = text.replace(/^\uFEFF/, '');
+  if (/\.xlf{1,2}$|\.xliff$/i.test(name) || /^\s*<\?xml|<xliff/.test(src)) {
+    const xml = new DOMParser().parseFromString(src, 'application/xml');
+    if (xml.querySelector('parsererror')) throw new Error('The XLIFF file is not well-formed XML.');
+    const strings = {};
+    xml.querySelectorAll('trans-unit').forEach(u => {
+      const target = u.querySelector('target');
+      if (target) strings[u.getAttribute('id')] = target.textContent;
+    });
+    return { lang: xml.querySelector('file')?.getAttribute('target-language') || null, strings };
+  }
+  if (/\.pot?$/i.test(name) || /^\s*(#|msgid|msgctxt)/.test(src)) {
+    const strings = {};
+    let lang = null, entry = {}, key = null;
+    const flush = () => {
+      if (entry.msgctxt != null && entry.msgstr != null) strings[entry.msgctxt] = entry.msgstr;
+      else if (entry.msgid === '' && entry.msgstr) lang = entry.msgstr.match(/^Language:\s*(\S+)/m)?.[1] || lang;
+      entry = {}; key = null;
     };
-    window.addEventListener('keydown', onKey);
-    return () => window.removeEventListener('keydown', onKey);
-  }, [selection, page]);
+    src.split(/\r?\n/).forEach(line => {
+      const kw = line.match(/^(msgctxt|msgid|msgstr)\s+"(.*)"\s*$/);
+      const more = line.match(/^"(.*)"\s*$/);
+      if (kw) {
+        if (kw[1] === 'msgctxt' || (kw[1] === 'msgid' && entry.msgstr != null)) flush();
+        key = kw[1]; entry[key] = unPO(kw[2]);
+      } else if (more && key) entry[key] += unPO(more[1]);
+      else if (!line.trim()) flush();
+    });
+    flush();
+    return { lang, strings };
+  }
+  const [head, ...rows] = parseCSV(src);
+  if (!head || head[0] !== 'id' || head.length < 5) throw new Error('The CSV needs the columns id, where, speaker, source language and target language.');
+  return { lang: head[4] || null, strings: Object.fromEntries(rows.filter(r => r[0]).map(r => [r[0], r[4] || ''])) };
+};
 
-  // Render
-  return (
-    <div className="min-h-screen grid grid-rows-[auto,1fr]">
-      <Header
-        page={page}
-        onLayout={(layout) => setPage(p => ({ ...p, layout }))}
-        onExport={exportPNG}
-        onSave={saveJSON}
-        onLoad={loadJSON}
-      />
+// Apply imported strings for `lang`; ids the comic no longer has are counted, not fatal
+const withTranslations = (doc, lang, strings) => {
+  const ids = new Set(allElements(doc).filter(el => el.type === 'text').map(el => el.id));
+  let applied = 0;
+  const next = mapElements(doc, el => {
+    if (el.type !== 'text' || !(el.id in strings)) return el;
+    const translations = { ...el.translations };
+    if (strings[el.id].trim()) { translations[lang] = strings[el.id]; applied++; }
+    else delete translations[lang];
+    return { ...el, translations };
+  });
+  return { doc: next, applied, unknown: Object.keys(strings).filter(id => !ids.has(id)).length };
+};
 
-      <div className="grid md:grid-cols-[1fr,320px] gap-3 p-3">
-        <Board
+// --- image assets ---
+// Image elements reference blobs by `asset` (content hash); `src` is a runtime object URL
+const assetCache = new Map(); // id -> { blob, url }
+
+const hashBlob = async (blob) => {
+  if (!window.crypto?.subtle) return uid();
+  const buf = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const registerAsset = async (blob) => {
+  const id = await hashBlob(blob);
+  if (!assetCache.has(id)) assetCache.set(id, { blob, url: URL.createObjectURL(blob) });
+  return id;
+};
+
+const assetURL = (id) => assetCache.get(id)?.url || '';
+
+// Make sure an asset is in the cache, reading it from IndexedDB if needed
+const loadAsset = async (id) => {
+  if (assetCache.has(id)) return true;
+  const rec = await getAsset(id).catch(() => null);
+  if (rec?.blob) assetCache.set(id, { blob: rec.blob, url: URL.createObjectURL(rec.blob) });
+  return !!rec?.blob;
+};
+
+// Natural size of an image, or null if it will not load
+const probeSize = (url) => new Promise(res => {
+  const img = new Image();
+  img.onload = () => res({ width: img.naturalWidth, height: img.naturalHeight });
+  img.onerror = () => res(null);
+  img.src = url;
+});
+
+// Every binary a document needs: placed images, its asset library and uploaded fonts
+const assetIds = (doc) => [...new Set([
+  ...allElements(doc).map(el => el.asset),
+  ...(doc.library || []).map(item => item.asset),
+  ...(doc.fonts || []).map(font => font.asset),
+].filter(Boolean))];
+
+// Point every image at a live URL for its asset, fetching binaries from IndexedDB as needed
+const hydrateAssets = async (doc) => {
+  const ids = assetIds(doc);
+  const missing = [];
+  for (const id of ids) {
+    if (!(await loadAsset(id))) missing.push(id);
+  }
+  return { doc: mapElements(doc, el => el.asset ? { ...el, src: assetURL(el.asset) } : el), missing };
+};
+
+// --- image looks ---
+// Crop, flip and opacity are CSS; filters render to a canvas copy, the asset is untouched
+const IMAGE_FILTERS = {
+  none: { name: 'None' },
+  greyscale: { name: 'Greyscale', amount: 100, min: 0, max: 100, label: 'Strength %' },
+  halftone: { name: 'Halftone / screentone', amount: 6, min: 3, max: 30, label: 'Dot size' },
+  posterize: { name: 'Posterize', amount: 4, min: 2, max: 12, label: 'Levels' },
+  ink: { name: 'Ink outline', amount: 50, min: 1, max: 100, label: 'Detail' },
+};
+const DEFAULT_CROP = { zoom: 1, x: 50, y: 50 }; // zoom >= 1; x/y focus point in % of the photo
+const MAX_CROP_ZOOM = 5;
+const FILTER_MAX_SIDE = 2000; // filtered copies are capped to keep the pixel loops quick
+
+const filterOf = (el) => {
+  const type = IMAGE_FILTERS[el.filter?.type] ? el.filter.type : 'none';
+  const spec = IMAGE_FILTERS[type];
+  return { type, amount: type === 'none' ? 0 : clamp(Number(el.filter?.amount ?? spec.amount), spec.min, spec.max) };
+};
+
+const luma = (d, i) => 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+
+const PIXEL_FILTERS = {
+  greyscale(ctx, w, h, amount) {
+    const data = ctx.getImageData(0, 0, w, h);
+    const d = data.data;
+    const k = amount / 100;
+    for (let i = 0; i < d.length; i += 4) {
+      const y = luma(d, i);
+      d[i] += (y - d[i]) * k; d[i + 1] += (y - d[i + 1]) * k; d[i + 2] += (y - d[i + 2]) * k;
+    }
+    ctx.putImageData(data, 0, 0);
+  },
+  posterize(ctx, w, h, levels) {
+    const data = ctx.getImageData(0, 0, w, h);
+    const d = data.data;
+    const step = 255 / (levels - 1);
+    for (let i = 0; i < d.length; i += 4) {
+      for (let c = 0; c < 3; c++) d[i + c] = Math.round(d[i + c] / step) * step;
+    }
+    ctx.putImageData(data, 0, 0);
+  },
+  // Black dots on a 45° screen, sized by the darkness under each cell
+  halftone(ctx, w, h, dot) {
+    const d = ctx.getImageData(0, 0, w, h).data;
+    const cell = Math.max(3, Math.round(dot * Math.max(w, h) / 1000));
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = '#000000';
+    const cos = Math.SQRT1_2, sin = Math.SQRT1_2;
+    const reach = Math.ceil((w + h) / cell);
+    for (let u = -reach; u <= reach; u++) {
+      for (let v = -reach; v <= reach; v++) {
+        const cx = (u * cos - v * sin) * cell + w / 2;
+        const cy = (u * sin + v * cos) * cell + h / 2;
+        if (cx < -cell || cy < -cell || cx > w + cell || cy > h + cell) continue;
+        const px = clamp(Math.round(cx), 0, w - 1), py = clamp(Math.round(cy), 0, h - 1);
+        const i = (py * w + px) * 4;
+        const dark = 1 - (d[i + 3] === 0 ? 255 : luma(d, i)) / 255;
+        const r = (cell / 2) * Math.sqrt(dark) * 1.3;
+        if (r < 0.3) continue;
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  },
+  // Sobel edges drawn as black ink on white; more detail means a lower edge threshold
+  ink(ctx, w, h, detail) {
+    const data = ctx.getImageData(0, 0, w, h);
+    const d = data.data;
+    const y = new Float32Array(w * h);
+    for (let p = 0; p < w * h; p++) y[p] = luma(d, p * 4);
+    const threshold = 20 + (100 - detail) * 2.4;
+    for (let py = 0; py < h; py++) {
+      for (let px = 0; px < w; px++) {
+        const at = (x0, y0) => y[clamp(y0, 0, h - 1) * w + clamp(x0, 0, w - 1)];
+        const gx = at(px + 1, py - 1) + 2 * at(px + 1, py) + at(px + 1, py + 1) - at(px - 1, py - 1) - 2 * at(px - 1, py) - at(px - 1, py + 1);
+        const gy = at(px - 1, py + 1) + 2 * at(px, py + 1) + at(px + 1, py + 1) - at(px - 1, py - 1) - 2 * at(px, py - 1) - at(px + 1, py - 1);
+        const v = Math.hypot(gx, gy) > threshold ? 0 : 255;
+        const i = (py * w + px) * 4;
+        d[i] = d[i + 1] = d[i + 2] = v;
+        d[i + 3] = 255;
+      }
+    }
+    ctx.putImageData(data, 0, 0);
+  },
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error(`Could not load ${src}`));
+  img.src = src;
+});
+
+// key -> Promise<url>; shared by every element showing the same source with the same filter
+const filterCache = new Map();
+
+const filteredURL = (src, { type, amount }) => {
+  const key = `${src}|${type}|${amount}`;
+  if (!filterCache.has(key)) {
+    filterCache.set(key, (async () => {
+      const img = await loadImage(src);
+      const k = Math.min(1, FILTER_MAX_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+      const w = Math.max(1, Math.round(img.naturalWidth * k));
+      const h = Math.max(1, Math.round(img.naturalHeight * k));
+      const canvas = document.createElement('canvas');
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, w, h);
+      PIXEL_FILTERS[type](ctx, w, h, amount);
+      const blob = await new Promise(res => canvas.toBlob(res, 'image/png'));
+      return URL.createObjectURL(blob);
+    })().catch(() => src)); // a tainted or broken source shows unfiltered
+  }
+  return filterCache.get(key);
+};
+
+// Resolves once every filter requested so far has finished (export waits on this)
+const filtersSettled = () => Promise.all(filterCache.values());
+
+const useFilteredSrc = (el) => {
+  const { type, amount } = filterOf(el);
+  const [out, setOut] = useState({ key: '', url: '' });
+  const key = `${el.src}|${type}|${amount}`;
+  useEffect(() => {
+    if (!el.src || type === 'none') return;
+    let live = true;
+    filteredURL(el.src, { type, amount }).then(url => { if (live) setOut({ key, url }); });
+    return () => { live = false; };
+  }, [key]);
+  if (!el.src || type === 'none') return el.src;
+  // Keep the unfiltered photo up until the filtered copy is ready
+  return out.key === key ? out.url : el.src;
+};
+
+// CSS for the photo inside its frame: cover-fit, zoom around the focus point, then
+// flip about the frame centre (so a flipped photo never slides out of its frame)
+const imageStyle = (el) => {
+  const crop = { ...DEFAULT_CROP, ...el.crop };
+  const ox = crop.x - 50, oy = crop.y - 50;
+  return {
+    objectFit: 'cover',
+    objectPosition: `${crop.x}% ${crop.y}%`,
+    transform: `scale(${el.flipX ? -1 : 1}, ${el.flipY ? -1 : 1}) translate(${ox}%, ${oy}%) scale(${crop.zoom}) translate(${-ox}%, ${-oy}%)`,
+    opacity: el.opacity ?? 1,
+  };
+};
+
+// --- clipboard ---
+// Elements travel as JSON text so they can be pasted into another tab of the app
+const CLIPBOARD_TAG = 'comicks/elements';
+const PASTE_OFFSET = 16;
+
+// Copies with fresh ids; grouped elements stay grouped, in a new group
+const cloneElements = (els, offset) => {
+  const groups = new Map();
+  return els.map(el => {
+    if (el.group && !groups.has(el.group)) groups.set(el.group, uid());
+    return { ...el, id: uid(), x: el.x + offset, y: el.y + offset, group: el.group ? groups.get(el.group) : null };
+  });
+};
+
+// Document without runtime-only blob: URLs (they are dead after a reload;
+// hydrateAssets rebuilds them from the asset ids)
+const storableDoc = (doc) => mapElements(doc, el => el.asset ? { ...el, src: '' } : el);
+
+// Images that have nothing to show: their asset could not be found, or they
+// only ever had a blob: URL from another session
+const missingImages = (doc) => {
+  const out = [];
+  doc.pages.forEach((pg, p) => pg.panels.forEach((pan, i) => pan.elements.forEach(el => {
+    if (el.type === 'image' && !el.src) out.push(`page ${p + 1}, panel ${i + 1}`);
+  })));
+  return out;
+};
+
+// --- project bundle ---
+// comic.json `assets` maps asset id -> base64 bytes
+const BUNDLE_FORMAT = 'comicks-bundle';
+
+const blobToBase64 = (blob) => new Promise((res, rej) => {
+  const r = new FileReader();
+  r.onload = () => res(String(r.result).split(',')[1] || '');
+  r.onerror = () => rej(r.error);
+  r.readAsDataURL(blob);
+});
+
+const base64ToBlob = (data, type) => {
+  const bin = atob(data);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+const bundleDoc = async (doc) => {
+  const assets = {};
+  for (const id of assetIds(doc)) {
+    const blob = assetCache.get(id)?.blob;
+    if (blob) assets[id] = { type: blob.type, data: await blobToBase64(blob) };
+  }
+  return { format: BUNDLE_FORMAT, ...storableDoc(doc), assets };
+};
+
+// Register a bundle's inline assets; entries that fail to decode are skipped
+// and show up later as missing images
+const importBundleAssets = (assets) => {
+  if (!assets || typeof assets !== 'object') return;
+  for (const [id, a] of Object.entries(assets)) {
+    if (assetCache.has(id) || typeof a?.data !== 'string') continue;
+    try {
+      const blob = base64ToBlob(a.data, a.type || '');
+      assetCache.set(id, { blob, url: URL.createObjectURL(blob) });
+    } catch (e) {
+      console.warn('Bad asset in bundle', id, e);
+    }
+  }
+};
+
+// Older files may embed images as data: URLs; move them into assets
+const adoptInlineImages = async (doc) => {
+  const ids = new Map();
+  for (const el of allElements(doc)) {
+    if (el.type !== 'image' || el.asset || !el.src?.startsWith('data:') || ids.has(el.src)) continue;
+    ids.set(el.src, await registerAsset(await (await fetch(el.src)).blob()));
+  }
+  return mapElements(doc, el => ids.has(el.src) && !el.asset ? { ...el, asset: ids.get(el.src) } : el);
+};
+
+// --- reader ---
+// Self-contained HTML reader: page art without lettering, with the text laid over it
+const READER_RATIO = 2; // artwork px per page px, sharp on high-density screens
+
+const READER_CSS = `
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; }
+body { display: flex; flex-direction: column; background: #0f172a; color: #f8fafc; font-family: system-ui, sans-serif; }
+.bar { display: flex; flex-wrap: wrap; align-items: center; gap: .5rem 1rem; padding: .5rem 1rem; }
+.bar h1 { flex: 1; margin: 0; font-size: 1rem; }
+#status { margin: 0; font-size: .875rem; color: #cbd5e1; }
+.bar button { font: inherit; font-size: .875rem; padding: .25rem .75rem; border-radius: .25rem; border: 1px solid #64748b; background: #1e293b; color: inherit; cursor: pointer; }
+.bar button[aria-pressed="true"] { background: #0ea5e9; border-color: #0ea5e9; color: #0f172a; }
+.bar button:disabled { opacity: .4; cursor: default; }
+:focus-visible { outline: 3px solid #facc15; outline-offset: 2px; }
+#stage { position: relative; flex: 1; overflow: hidden; touch-action: pinch-zoom; }
+.sheet { position: absolute; left: 0; top: 0; transform-origin: 0 0; transition: transform .35s ease; }
+.art { position: absolute; inset: 0; width: 100%; height: 100%; display: block; }
+.panel { position: absolute; margin: 0; overflow: hidden; cursor: zoom-in; }
+.guided .panel { cursor: default; }
+.balloon { position: absolute; padding: 8px; }
+.balloon .relative { position: relative; }
+.balloon .w-full { width: 100%; }
+.balloon .h-full { height: 100%; }
+.balloon .flex { display: flex; }
+.balloon .items-center { align-items: center; }
+.balloon .justify-start { justify-content: flex-start; }
+.balloon .whitespace-pre-wrap { white-space: pre-wrap; }
+.spot { position: absolute; pointer-events: none; box-shadow: 0 0 0 100000px rgba(15, 23, 42, .92); }
+.sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }
+@media (prefers-reduced-motion: reduce) { .sheet { transition: none; } }
+`;
+
+// ES5 syntax, but it needs current browsers: pointer events, dataset,
+// Element.closest and focus({ preventScroll }) (no Internet Explorer)
+const READER_JS = `
+(function () {
+  var stage = document.getElementById('stage');
+  var status = document.getElementById('status');
+  var prev = document.getElementById('prev');
+  var next = document.getElementById('next');
+  var guidedBtn = document.getElementById('guided');
+  var pages = Array.prototype.slice.call(document.querySelectorAll('.page'));
+  var at = { page: 0, panel: 0 };
+  var guided = false;
+
+  var panelsOf = function (i) { return pages[i].querySelectorAll('.panel'); };
+  var boxOf = function (node) { return { x: +node.dataset.x, y: +node.dataset.y, w: +node.dataset.w, h: +node.dataset.h }; };
+
+  // Where one step forward (d = 1) or back (d = -1) goes, or null at either end
+  function target(d) {
+    if (guided) {
+      var n = at.panel + d;
+      if (n >= 0 && n < panelsOf(at.page).length) return { page: at.page, panel: n };
+    }
+    var p = at.page + d;
+    if (p < 0 || p >= pages.length) return null;
+    return { page: p, panel: guided && d < 0 ? panelsOf(p).length - 1 : 0 };
+  }
+
+  function show(focus) {
+    var page = pages[at.page];
+    pages.forEach(function (pg, i) { pg.hidden = i !== at.page; });
+    var sheet = page.querySelector('.sheet');
+    var panels = panelsOf(at.page);
+    var panel = guided ? panels[at.panel] : null;
+    var box = panel ? boxOf(panel) : { x: 0, y: 0, w: +sheet.dataset.w, h: +sheet.dataset.h };
+    var pad = 12;
+    var k = Math.max(0.05, Math.min((stage.clientWidth - 2 * pad) / box.w, (stage.clientHeight - 2 * pad) / box.h));
+    var x = (stage.clientWidth - box.w * k) / 2 - box.x * k;
+    var y = (stage.clientHeight - box.h * k) / 2 - box.y * k;
+    sheet.style.transform = 'translate(' + x + 'px, ' + y + 'px) scale(' + k + ')';
+    var spot = page.querySelector('.spot');
+    spot.hidden = !panel;
+    if (panel) {
+      spot.style.left = box.x + 'px'; spot.style.top = box.y + 'px';
+      spot.style.width = box.w + 'px'; spot.style.height = box.h + 'px';
+    }
+    document.body.classList.toggle('guided', guided);
+    status.textContent = 'Page ' + (at.page + 1) + ' of ' + pages.length
+      + (panel ? ', panel ' + (at.panel + 1) + ' of ' + panels.length : '');
+    prev.disabled = !target(-1);
+    next.disabled = !target(1);
+    if (focus) (panel || page).focus({ preventScroll: true });
+  }
+
+  function step(d) {
+    var t = target(d);
+    if (!t) return;
+    at = t;
+    show(true);
+  }
+
+  function setGuided(on, panel) {
+    guided = on;
+    at.panel = on ? (panel || 0) : 0;
+    guidedBtn.setAttribute('aria-pressed', String(on));
+    show(true);
+  }
+
+  prev.addEventListener('click', function () { step(-1); });
+  next.addEventListener('click', function () { step(1); });
+  guidedBtn.addEventListener('click', function () { setGuided(!guided); });
+
+  document.addEventListener('keydown', function (e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    var onButton = e.target.tagName === 'BUTTON';
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === 'PageDown' || (e.key === ' ' && !onButton && !e.shiftKey)) step(1);
+    else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp' || e.key === 'PageUp' || (e.key === ' ' && !onButton && e.shiftKey)) step(-1);
+    else if (e.key === 'Home') { at = { page: 0, panel: 0 }; show(true); }
+    else if (e.key === 'End') { at = { page: pages.length - 1, panel: guided ? panelsOf(pages.length - 1).length - 1 : 0 }; show(true); }
+    else if (e.key === 'g' || e.key === 'G') setGuided(!guided);
+    else if (e.key === 'Escape' && guided) setGuided(false);
+    else return;
+    e.preventDefault();
+  });
+
+  // Swipe left or right to step; tap a panel to zoom into it
+  var press = null;
+  stage.addEventListener('pointerdown', function (e) { press = { x: e.clientX, y: e.clientY }; });
+  stage.addEventListener('pointerup', function (e) {
+    if (!press) return;
+    var dx = e.clientX - press.x, dy = e.clientY - press.y;
+    press = null;
+    if (Math.abs(dx) > 40 && Math.abs(dx) > Math.abs(dy)) { step(dx < 0 ? 1 : -1); return; }
+    var hit = !guided && Math.abs(dx) < 8 && Math.abs(dy) < 8 && e.target.closest && e.target.closest('.panel');
+    if (hit) setGuided(true, Array.prototype.indexOf.call(panelsOf(at.page), hit));
+  });
+  stage.addEventListener('pointercancel', function () { press = null; });
+
+  window.addEventListener('resize', function () { show(false); });
+  show(false);
+})();
+`;
+
+const READER_LABELS = { caption: 'Caption', sfx: 'Sound' };
+
+// What a screen reader says before a balloon's words
+const balloonLabel = (el) => (el.subtype === 'speech' ? (el.speaker ? `${el.speaker}${el.shape === 'cloud' ? ' (thinking)' : ''}` : '')
+  : [READER_LABELS[el.subtype], el.speaker].filter(Boolean).join(', '));
+
+// pages: [{ art: image URL, panels: [{ box, alt, images: [alt text], balloons: [{ el, html }] }] }]
+// in page px; `html` is the balloon's lettering markup as laid out in the editor
+const writeReader = ({ title, lang, size, fontCSS = '', pages }) => {
+  const name = xmlText(title || 'Comic');
+  const px = (v) => `${Math.round(v * 100) / 100}px`;
+  const body = pages.map((pg, p) => {
+    const panels = pg.panels.map((pan, i) => {
+      const { x, y, w, h } = pan.box;
+      const caption = [pan.alt?.trim(), ...pan.images.map(alt => `Image: ${alt}`)].filter(Boolean);
+      const balloons = pan.balloons.map(({ el, html }) => {
+        const label = balloonLabel(el);
+        const style = `left:${px(el.x)};top:${px(el.y)};width:${px(el.w)};height:${px(el.h)};${el.rotate ? `transform:rotate(${el.rotate}deg);` : ''}z-index:${el.z || 0}`;
+        return `          <div class="balloon" style="${style}">${label ? `<span class="sr-only">${xmlText(label)}: </span>` : ''}${html}</div>`;
+      });
+      return [
+        `        <figure class="panel" tabindex="-1" aria-label="Panel ${i + 1}" data-x="${x}" data-y="${y}" data-w="${w}" data-h="${h}" style="left:${px(x)};top:${px(y)};width:${px(w)};height:${px(h)}">`,
+        caption.length ? `          <figcaption class="sr-only">${caption.map(xmlText).join(' ')}</figcaption>` : '',
+        ...balloons,
+        '        </figure>',
+      ].filter(Boolean).join('\n');
+    });
+    return [
+      `    <section class="page" id="page-${p + 1}" tabindex="-1" aria-label="Page ${p + 1}">`,
+      `      <div class="sheet" data-w="${size.w}" data-h="${size.h}" style="width:${size.w}px;height:${size.h}px">`,
+      `        <img class="art" src="${pg.art}" alt="" width="${size.w}" height="${size.h}">`,
+      ...panels,
+      '        <div class="spot" aria-hidden="true" hidden></div>',
+      '      </div>',
+      '    </section>',
+    ].join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="${xmlText(lang || DEFAULT_LANG)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${name}</title>
+  <style>${READER_CSS}${fontCSS}</style>
+</head>
+<body>
+  <header class="bar">
+    <h1>${name}</h1>
+    <p id="status" aria-live="polite"></p>
+    <nav aria-label="Reader controls">
+      <button id="prev" type="button">Previous</button>
+      <button id="guided" type="button" aria-pressed="false" title="Zoom into one panel at a time (G)">Guided view</button>
+      <button id="next" type="button">Next</button>
+    </nav>
+  </header>
+  <p class="sr-only">Use the arrow keys or swipe to turn pages. Guided view steps through the panels one at a time.</p>
+  <main id="stage">
+${body.join('\n')}
+  </main>
+  <script>${READER_JS}</script>
+</body>
+</html>
+`;
+};
+
+// --- animation ---
+// Panels fade in, then their balloons appear in reading order, then hold
+const ANIM_FORMATS = { gif: 'GIF', webm: 'WebM video' };
+const ANIM_FPS = { gif: 10, webm: 30 };
+const ANIM_FADE = 0.4; // seconds for a panel, or a balloon with fade-in, to appear
+const ANIM_BEAT = 0.8; // reading time after each balloon
+const MAX_HOLD = 60;
+const PREVIEW_WIDTH = 480; // px the preview player renders at
+const ANIM_LAYER_PAD = 8; // page px around a balloon's box searched for its pixels
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Timed steps for the whole comic. `state` is how many of the page's balloons
+// (see animationTexts) are showing once the step is done.
+const animationSteps = (doc, { hold, fade }) => {
+  const steps = [];
+  let t = 0;
+  doc.pages.forEach((pg, page) => {
+    let state = 0;
+    pg.panels.forEach((pan, panel) => {
+      const add = (kind, duration, extra) => {
+        steps.push({ page, panel, kind, state, start: t, duration, ...extra });
+        t += duration;
+      };
+      add('panel', ANIM_FADE);
+      readingOrder(pan).forEach(el => {
+        state += 1;
+        add('balloon', fade ? ANIM_FADE : 0, { id: el.id });
+        add('beat', ANIM_BEAT);
+      });
+      add('hold', pan.hold ?? hold);
+    });
+  });
+  return { steps, duration: t };
+};
+
+// A page's text elements in the order the clip reveals them
+const animationTexts = (pg) => pg.panels.flatMap(readingOrder);
+
+const stepAt = (steps, t) => steps.find(s => t >= s.start && t < s.start + s.duration) || steps[steps.length - 1];
+
+// Padded on-screen bounds of each of `ids` (descendants included), in canvas px
+const layerBounds = (board, ids, pageSize, ratio) => {
+  const origin = board.getBoundingClientRect();
+  if (!origin.width) return {};
+  const k = (ratio * pageSize.w) / origin.width; // screen px to canvas px
+  const pad = ANIM_LAYER_PAD * ratio;
+  const out = {};
+  board.querySelectorAll('[data-el]').forEach(node => {
+    if (!ids.includes(node.dataset.el)) return;
+    const rects = [node, ...node.querySelectorAll('*')].map(n => n.getBoundingClientRect()).filter(r => r.width || r.height);
+    if (!rects.length) return;
+    const x = Math.max(0, Math.floor((Math.min(...rects.map(r => r.left)) - origin.left) * k - pad));
+    const y = Math.max(0, Math.floor((Math.min(...rects.map(r => r.top)) - origin.top) * k - pad));
+    const right = Math.min(Math.round(ratio * pageSize.w), Math.ceil((Math.max(...rects.map(r => r.right)) - origin.left) * k + pad));
+    const bottom = Math.min(Math.round(ratio * pageSize.h), Math.ceil((Math.max(...rects.map(r => r.bottom)) - origin.top) * k + pad));
+    if (right > x && bottom > y) out[node.dataset.el] = { x, y, w: right - x, h: bottom - y };
+  });
+  return out;
+};
+
+const overlaps = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+// The pixels of `over` that differ from `under` inside r, alone on a transparent
+// canvas the size of r
+const diffLayer = (under, over, r) => {
+  const below = under.getContext('2d').getImageData(r.x, r.y, r.w, r.h).data;
+  const img = over.getContext('2d').getImageData(r.x, r.y, r.w, r.h);
+  const d = img.data;
+  for (let i = 0; i < d.length; i += 4) {
+    if (d[i] === below[i] && d[i + 1] === below[i + 1] && d[i + 2] === below[i + 2]) d[i + 3] = 0;
+  }
+  const out = document.createElement('canvas');
+  out.width = r.w;
+  out.height = r.h;
+  out.getContext('2d').putImageData(img, 0, 0);
+  return out;
+};
+
+// Give a canvas's pixels back now rather than whenever it is collected
+const freeCanvas = (canvas) => {
+  canvas.width = 0;
+  canvas.height = 0;
+};
+
+const releaseAnimation = (plan) => plan.pages.forEach(pg => {
+  freeCanvas(pg.base);
+  pg.layers.forEach(l => freeCanvas(l.canvas));
+});
+
+// plan: { width, height, bg, steps, pages: [{ base, boxes, texts, layers: [{ id, canvas, x, y }] }] }
+const drawAnimationFrame = (ctx, plan, t) => {
+  const s = stepAt(plan.steps, t);
+  const { base, boxes, texts, layers } = plan.pages[s.page];
+  const k = s.duration ? clamp((t - s.start) / s.duration, 0, 1) : 1;
+  const crop = (b) => ctx.drawImage(base, b.x, b.y, b.w, b.h, b.x, b.y, b.w, b.h);
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = plan.bg;
+  ctx.fillRect(0, 0, plan.width, plan.height);
+  boxes.slice(0, s.panel).forEach(crop);
+  ctx.globalAlpha = s.kind === 'panel' ? k : 1;
+  crop(boxes[s.panel]);
+  const shown = new Set(texts.slice(0, s.state));
+  layers.filter(l => shown.has(l.id)).forEach(l => {
+    ctx.globalAlpha = s.kind === 'balloon' && l.id === s.id ? k : 1;
+    ctx.drawImage(l.canvas, l.x, l.y);
+  });
+  ctx.globalAlpha = 1;
+};
+
+// Frame times for a fixed-frame-rate encoder: fades are sampled at `fps`, still
+// stretches become one long frame. [{ t, duration }] in seconds.
+const animationFrames = (steps, fps) => steps.filter(s => s.duration > 0).flatMap(s => {
+  if (s.kind !== 'panel' && s.kind !== 'balloon') return [{ t: s.start, duration: s.duration }];
+  const n = Math.max(1, Math.round(s.duration * fps));
+  return Array.from({ length: n }, (_, i) => ({ t: s.start + (i * s.duration) / n, duration: s.duration / n }));
+});
+
+// Play the clip onto `canvas` in real time while a MediaRecorder captures it
+const recordWebM = async (canvas, plan, fps) => {
+  const type = webmType();
+  if (!type) throw new Error('This browser cannot record WebM video.');
+  const recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType: type, videoBitsPerSecond: 8_000_000 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise(res => { recorder.onstop = res; });
+  const ctx = canvas.getContext('2d');
+  drawAnimationFrame(ctx, plan, 0);
+  recorder.start();
+  const t0 = performance.now();
+  await new Promise(res => {
+    const tick = () => {
+      const t = (performance.now() - t0) / 1000;
+      drawAnimationFrame(ctx, plan, Math.min(t, plan.duration));
+      if (t < plan.duration) requestAnimationFrame(tick);
+      else res();
+    };
+    tick();
+  });
+  recorder.stop();
+  await stopped;
+  if (!chunks.length) throw new Error('The browser recorded no video.');
+  return new Blob(chunks, { type });
+};
+
+// The WebM type this browser can record a canvas in, or null
+const webmType = () => {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return WEBM_TYPES.find(t => MediaRecorder.isTypeSupported?.(t)) || null;
+};
+
+const canRecordWebM = () => !!webmType();
+
+// --- gif ---
+// GIF89a writer: one median-cut palette, LZW full frames, looping
+const GIF_SAMPLE = 60_000; // pixels looked at to choose the palette
+
+const medianCut = (pixels, n) => {
+  const boxes = [pixels];
+  while (boxes.length < n) {
+    let best = -1, widest = 0, channel = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      for (let c = 0; c < 3; c++) {
+        let lo = 255, hi = 0;
+        for (const p of box) { if (p[c] < lo) lo = p[c]; if (p[c] > hi) hi = p[c]; }
+        if (hi - lo > widest) { widest = hi - lo; best = i; channel = c; }
+      }
+    });
+    if (best < 0) break;
+    const box = boxes[best].sort((a, b) => a[channel] - b[channel]);
+    const mid = box.length >> 1;
+    boxes.splice(best, 1, box.slice(0, mid), box.slice(mid));
+  }
+  return boxes.map(box => [0, 1, 2].map(c => Math.round(box.reduce((t, p) => t + p[c], 0) / box.length)));
+};
+
+// Palette from the opaque pixels of some canvases
+const gifPalette = (canvases) => {
+  const pixels = [];
+  const per = Math.ceil(GIF_SAMPLE / canvases.length);
+  for (const canvas of canvases) {
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const step = Math.max(1, Math.floor(data.length / 4 / per));
+    for (let i = 0; i < data.length; i += step * 4) {
+      if (data[i + 3]) pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+  const colors = medianCut(pixels, 256);
+  while (colors.length < 256) colors.push([0, 0, 0]);
+  return colors;
+};
+
+// Palette index per pixel, nearest colour by RGB distance (cached on 15-bit colour)
+const gifIndexer = (palette) => {
+  const cache = new Int16Array(32768).fill(-1);
+  return (data) => {
+    const out = new Uint8Array(data.length / 4);
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+      const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+      let idx = cache[key];
+      if (idx < 0) {
+        let d = Infinity;
+        palette.forEach(([r, g, b], n) => {
+          const e = (r - data[i]) ** 2 + (g - data[i + 1]) ** 2 + (b - data[i + 2]) ** 2;
+          if (e < d) { d = e; idx = n; }
+        });
+        cache[key] = idx;
+      }
+      out[j] = idx;
+    }
+    return out;
+  };
+};
+
+// LZW code stream for 8-bit indices, packed into GIF data sub-blocks
+const gifLZW = (indices) => {
+  const MIN = 8, CLEAR = 256, EOI = 257;
+  const bytes = [];
+  let cur = 0, shift = 0, size = MIN + 1, next = EOI + 1;
+  let table = new Map();
+  const emit = (code) => {
+    cur |= code << shift;
+    shift += size;
+    while (shift >= 8) { bytes.push(cur & 255); cur >>= 8; shift -= 8; }
+  };
+  emit(CLEAR);
+  let code = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (code << 8) | k;
+    const found = table.get(key);
+    if (found !== undefined) { code = found; continue; }
+    emit(code);
+    if (next === 4096) {
+      emit(CLEAR);
+      size = MIN + 1;
+      next = EOI + 1;
+      table = new Map();
+    } else {
+      if (next >= 1 << size) size++;
+      table.set(key, next++);
+    }
+    code = k;
+  }
+  emit(code);
+  emit(EOI);
+  if (shift > 0) bytes.push(cur & 255);
+
+  const out = new Uint8Array(1 + bytes.length + Math.ceil(bytes.length / 255) + 1);
+  let p = 0;
+  out[p++] = MIN;
+  for (let i = 0; i < bytes.length; i += 255) {
+    const n = Math.min(255, bytes.length - i);
+    out[p++] = n;
+    for (let j = 0; j < n; j++) out[p++] = bytes[i + j];
+  }
+  out[p++] = 0;
+  return out;
+};
+
+const u16 = (v) => [v & 255, (v >> 8) & 255];
+
+const gifHeader = (w, h, palette) => new Uint8Array([
+  ...Array.from('GIF89a', ch => ch.charCodeAt(0)), ...u16(w), ...u16(h), 0xf7, 0, 0,
+  ...palette.flat(),
+  0x21, 0xff, 0x0b, ...Array.from('NETSCAPE2.0', ch => ch.charCodeAt(0)), 0x03, 0x01, 0, 0, 0, // loop forever
+]);
+
+// One frame shown for `delay` hundredths of a second
+const gifFrame = (w, h, indices, delay) => [
+  new Uint8Array([0x21, 0xf9, 0x04, 0x04, ...u16(delay), 0, 0, 0x2c, 0, 0, 0, 0, ...u16(w), ...u16(h), 0]),
+  gifLZW(indices),
+];
+
+// The clip as a GIF, drawn frame by frame on `canvas`
+const encodeGIF = async (canvas, plan) => {
+  const ctx = canvas.getContext('2d');
+  const palette = gifPalette(plan.pages.flatMap(pg => [pg.base, ...pg.layers.map(l => l.canvas)]));
+  const indexOf = gifIndexer(palette);
+  const parts = [gifHeader(plan.width, plan.height, palette)];
+  for (const f of animationFrames(plan.steps, ANIM_FPS.gif)) {
+    drawAnimationFrame(ctx, plan, f.t);
+    const { data } = ctx.getImageData(0, 0, plan.width, plan.height);
+    parts.push(...gifFrame(plan.width, plan.height, indexOf(data), Math.max(2, Math.round(f.duration * 100))));
+    await new Promise(res => setTimeout(res)); // keep the tab responsive between frames
+  }
+  parts.push(new Uint8Array([0x3b]));
+  return new Blob(parts, { type: 'image/gif' });
+};
+
+// --- document schema ---
+// Older documents step through MIGRATIONS, then validation reports what it fixed or dropped
+const SCHEMA_VERSION = 2;
+
+// Documents that predate `version`: 0 held one page at the top level, 1 had pages
+const versionOf = (raw) => {
+  if (Number.isInteger(raw.version)) return raw.version;
+  if (Array.isArray(raw.pages)) return 1;
+  if (Array.isArray(raw.panels)) return 0;
+  return null;
+};
+
+// MIGRATIONS[n] turns a version n document into version n + 1 (plain JSON both ways)
+const MIGRATIONS = [
+  {
+    note: 'Moved the single page into the multi-page format',
+    up: (raw) => ({ ...raw, version: 1, pages: [{ layout: raw.layout, panels: raw.panels }] }),
+  },
+  {
+    note: 'Took panel positions from the named layouts and kept old balloons as the plain boxes they were drawn as',
+    up: (raw, report) => ({
+      ...raw,
+      version: 2,
+      pages: raw.pages.map((pg, p) => {
+        if (!pg || !Array.isArray(pg.panels)) return pg;
+        let panels = pg.panels;
+        // Pages once only named a preset; the panels fill its rectangles in order
+        if (!panels.length || !panels.every(pan => isRect(pan?.rect))) {
+          const rects = (LAYOUTS[pg.layout] || LAYOUTS['4']).rects;
+          if (panels.length > rects.length) {
+            report.dropped.push({ where: `Page ${p + 1}`, message: `${panels.length - rects.length} panel(s) beyond the ${rects.length} of its layout` });
+          }
+          panels = rects.map((rect, i) => ({ elements: [], ...panels[i], rect: { ...rect } }));
+        }
+        // Before balloon shapes, outlines and SFX sizes, text was a plain 20px box
+        const legacyText = (el) => (el?.type !== 'text' ? el : {
+          ...el,
+          shape: el.shape ?? 'rect',
+          tail: el.tail ?? null,
+          strokeWidth: el.strokeWidth ?? 0,
+          textStroke: el.textStroke ?? 0,
+          fontSize: el.fontSize ?? 20,
+        });
+        return { ...pg, panels: panels.map(pan => ({ ...pan, elements: Array.isArray(pan.elements) ? pan.elements.map(legacyText) : pan.elements })) };
+      }),
+    }),
+  },
+];
+
+// What loading changed; entries are { where, message }
+const newReport = () => ({ upgraded: [], fixed: [], dropped: [] });
+
+const COLOR_RE = /^(#[0-9a-f]{3,8}|transparent|(rgb|hsl)a?\([^)]*\)|[a-z]+)$/i;
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+// Field readers for one place in the document. Missing values take the default
+// quietly (older files simply lack them); unusable ones are reported.
+const checker = (report, where) => {
+  const fix = (message) => report.fixed.push({ where, message });
+  return {
+    fix,
+    num: (v, min, max, fallback, label) => {
+      if (v == null || v === '') return fallback;
+      const n = typeof v === 'number' ? v : (typeof v === 'string' ? Number(v) : NaN);
+      if (!Number.isFinite(n)) { fix(`${label} “${v}” is not a number; using ${fallback}`); return fallback; }
+      if (n < min || n > max) { const c = clamp(n, min, max); fix(`${label} ${n} is outside ${min}–${max}; using ${c}`); return c; }
+      return n;
+    },
+    pick: (v, allowed, fallback, label) => {
+      if (v == null || allowed.includes(v)) return v ?? fallback;
+      fix(`Unknown ${label} “${v}”; using “${fallback}”`);
+      return fallback;
+    },
+    str: (v, max, fallback, label) => {
+      if (v == null) return fallback;
+      if (typeof v !== 'string' && typeof v !== 'number') { fix(`${label} is not text; using “${fallback}”`); return fallback; }
+      const s = String(v);
+      if (s.length > max) fix(`${label} was cut to ${max} characters`);
+      return s.slice(0, max);
+    },
+    color: (v, fallback, label) => {
+      if (v == null || v === '') return fallback;
+      if (typeof v === 'string' && COLOR_RE.test(v.trim())) return v.trim();
+      fix(`${label} “${v}” is not a colour; using ${fallback}`);
+      return fallback;
+    },
+    id: (v) => (typeof v === 'string' && v ? v : uid()),
+  };
+};
+
+const describeElement = (el) => (el.type === 'text' ? `text “${plainText(el.text).trim().slice(0, 24)}”`
+  : el.type === 'image' ? 'image' : el.type === 'stroke' ? 'drawing' : 'element');
+
+// A valid element, or null when it cannot be used (the report says why)
+const validateElement = (el, report = newReport(), where = 'Element') => {
+  if (!el || typeof el !== 'object') {
+    report.dropped.push({ where, message: 'An entry that is not an element' });
+    return null;
+  }
+  const at = `${where}, ${describeElement(el)}`;
+  const c = checker(report, at);
+  const pos = (base) => ({
+    x: c.num(el.x, -10_000, 10_000, base.x, 'X'),
+    y: c.num(el.y, -10_000, 10_000, base.y, 'Y'),
+    w: c.num(el.w, 10, 10_000, base.w, 'Width'),
+    h: c.num(el.h, 10, 10_000, base.h, 'Height'),
+    z: c.num(el.z, 0, 10_000, base.z, 'Stack order'),
+    rotate: c.num(el.rotate, -3600, 3600, 0, 'Rotation'),
+  });
+  const common = {
+    id: c.id(el.id),
+    group: typeof el.group === 'string' ? el.group : null,
+    name: c.str(el.name, 80, '', 'Layer name'),
+    hidden: !!el.hidden,
+    locked: !!el.locked,
+  };
+
+  if (el.type === 'image') {
+    // A blob: URL from another session points nowhere; keep the element so it can be reported
+    const base = defaultImage(/^(data:|https?:)/.test(el.src || '') ? el.src : '', { width: el.w, height: el.h }, typeof el.asset === 'string' ? el.asset : null);
+    if (el.filter?.type && !IMAGE_FILTERS[el.filter.type]) c.fix(`Unknown filter “${el.filter.type}”; removed`);
+    return {
+      ...base,
+      ...pos(base),
+      ...common,
+      crop: {
+        zoom: c.num(el.crop?.zoom, 1, MAX_CROP_ZOOM, 1, 'Crop zoom'),
+        x: c.num(el.crop?.x, 0, 100, 50, 'Crop focus X'),
+        y: c.num(el.crop?.y, 0, 100, 50, 'Crop focus Y'),
+      },
+      flipX: !!el.flipX,
+      flipY: !!el.flipY,
+      opacity: c.num(el.opacity, 0, 1, 1, 'Opacity'),
+      filter: filterOf(el),
+      alt: c.str(el.alt, 1000, '', 'Alt text'),
+    };
+  }
+
+  if (el.type === 'stroke') {
+    const raw = Array.isArray(el.points) ? el.points : [];
+    const points = raw
+      .filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+      .map(([x, y, p]) => [x, y, clamp(Number(p ?? 1) || 1, 0.1, 2)]);
+    if (!points.length) {
+      report.dropped.push({ where: at, message: 'A drawing with no points' });
+      return null;
+    }
+    if (points.length < raw.length) c.fix(`${raw.length - points.length} unreadable point(s) removed`);
+    const box = pos({ x: 0, y: 0, w: 10, h: 10, z: 1 });
+    return {
+      type: 'stroke',
+      tool: c.pick(el.tool, Object.keys(DRAW_TOOLS).filter(t => t !== 'eraser'), 'pen', 'drawing tool'),
+      points,
+      vw: el.vw > 0 ? el.vw : box.w,
+      vh: el.vh > 0 ? el.vh : box.h,
+      ...box,
+      ...common,
+      color: c.color(el.color, '#111827', 'Ink colour'),
+      width: c.num(el.width, 1, 200, 4, 'Line width'),
+      pressure: el.pressure !== false,
+    };
+  }
+
+  if (el.type !== 'text') {
+    report.dropped.push({ where: at, message: `Unknown element type “${el.type}”` });
+    return null;
+  }
+  const subtype = c.pick(el.subtype, ['speech', 'caption', 'sfx'], 'speech', 'text kind');
+  const base = defaultText(subtype);
+  const shadow = el.textShadow;
+  return {
+    ...base,
+    ...pos(base),
+    ...common,
+    text: c.str(el.text, 2000, '', 'Text'),
+    fontSize: c.num(el.fontSize, 4, 400, base.fontSize, 'Font size'),
+    color: c.color(el.color, base.color, 'Text colour'),
+    bg: c.color(el.bg, base.bg, 'Background'),
+    align: c.pick(el.align, ['left', 'center', 'right'], 'left', 'alignment'),
+    radius: c.num(el.radius, 0, 64, base.radius, 'Corner radius'),
+    weight: c.num(el.weight, 100, 900, base.weight, 'Weight'),
+    shape: c.pick(el.shape, Object.keys(BALLOON_SHAPES), base.shape, 'balloon shape'),
+    tail: el.tail === undefined ? base.tail
+      : el.tail === null ? null
+      : Number.isFinite(el.tail.x) && Number.isFinite(el.tail.y) ? { x: el.tail.x, y: el.tail.y }
+      : (c.fix('The tail position is unreadable; removed the tail'), null),
+    stroke: c.color(el.stroke, '#111827', 'Outline colour'),
+    strokeWidth: c.num(el.strokeWidth, 0, 20, base.strokeWidth, 'Outline width'),
+    textStroke: c.num(el.textStroke, 0, 20, base.textStroke, 'Letter outline'),
+    textStrokeColor: c.color(el.textStrokeColor, '#ffffff', 'Letter outline colour'),
+    font: typeof el.font === 'string' ? el.font : '',
+    letterSpacing: c.num(el.letterSpacing, -10, 50, 0, 'Letter spacing'),
+    lineHeight: c.num(el.lineHeight, 0.6, 4, 1.5, 'Line height'),
+    uppercase: !!el.uppercase,
+    textShadow: shadow && typeof shadow === 'object' ? {
+      x: c.num(shadow.x, -100, 100, 0, 'Shadow X'),
+      y: c.num(shadow.y, -100, 100, 0, 'Shadow Y'),
+      blur: c.num(shadow.blur, 0, 50, 0, 'Shadow blur'),
+      color: c.color(shadow.color, '#000000', 'Shadow colour'),
+    } : null,
+    fit: c.pick(el.fit, Object.keys(FIT_MODES), 'none', 'fit mode'),
+    maxWidth: c.num(el.maxWidth, 60, 2000, 320, 'Max width'),
+    textStyle: typeof el.textStyle === 'string' ? el.textStyle : null,
+    speaker: c.str(el.speaker, 80, '', 'Speaker'),
+    translations: Object.fromEntries(Object.entries(el.translations && typeof el.translations === 'object' ? el.translations : {})
+      .filter(([k, v]) => LANG_RE.test(k) && typeof v === 'string')
+      .map(([k, v]) => [k, v.slice(0, 2000)])),
+  };
+};
+
+const validatePanel = (pan, report, where) => {
+  if (!pan || !isRect(pan.rect)) {
+    report.dropped.push({ where, message: 'A panel without a usable position on the page' });
+    return null;
+  }
+  const c = checker(report, where);
+  const { x, y, w, h } = pan.rect;
+  const elements = (Array.isArray(pan.elements) ? pan.elements : [])
+    .map(el => validateElement(el, report, where))
+    .filter(Boolean);
+  const texts = new Set(elements.filter(el => el.type === 'text').map(el => el.id));
+  return {
+    id: c.id(pan.id),
+    rect: { x: snap(x), y: snap(y), w: snap(w), h: snap(h) },
+    bg: c.color(pan.bg, '#ffffff', 'Background'),
+    border: {
+      width: c.num(pan.border?.width, 0, 40, 0, 'Border width'),
+      color: c.color(pan.border?.color, DEFAULT_BORDER.color, 'Border colour'),
+      style: c.pick(pan.border?.style, Object.keys(BORDER_STYLES), 'solid', 'border style'),
+    },
+    radius: c.num(pan.radius, 0, 200, 4, 'Corner radius'),
+    bleed: !!pan.bleed,
+    slant: Object.fromEntries(Object.keys(NO_SLANT).map(k => [k, c.num(pan.slant?.[k], -500, 500, 0, `Slant (${k})`)])),
+    notes: c.str(pan.notes, 5000, '', 'Script notes'),
+    alt: c.str(pan.alt, 1000, '', 'Alt text'),
+    // Balloons deleted since the order was set simply drop out of it
+    order: (Array.isArray(pan.order) ? pan.order : []).filter(id => texts.has(id)),
+    hold: c.num(pan.hold, 0, MAX_HOLD, null, 'Animation hold'),
+    elements,
+  };
+};
+
+const validatePage = (pg, report, p) => {
+  const where = `Page ${p + 1}`;
+  const panels = (Array.isArray(pg?.panels) ? pg.panels : [])
+    .map((pan, i) => validatePanel(pan, report, `${where}, panel ${i + 1}`))
+    .filter(Boolean);
+  if (!panels.length) {
+    report.dropped.push({ where, message: 'A page with no usable panels' });
+    return null;
+  }
+  return { id: checker(report, where).id(pg.id), layout: typeof pg.layout === 'string' && pg.layout ? pg.layout : 'custom', panels };
+};
+
+// Parsed JSON to a current, valid document. Throws with a readable reason when
+// nothing usable is left; everything short of that goes into `report`.
+const loadDoc = (raw, report = newReport()) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('It does not contain a comic.');
+  let version = versionOf(raw);
+  if (version == null) throw new Error('It has no pages or panels, so it is not a Comicks comic.');
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`It was saved by a newer version of Comicks (format ${version}); this one reads formats up to ${SCHEMA_VERSION}.`);
+  }
+  let doc = raw;
+  for (; version < SCHEMA_VERSION; version++) {
+    doc = MIGRATIONS[version].up(doc, report);
+    report.upgraded.push(`Format ${version} → ${version + 1}: ${MIGRATIONS[version].note}`);
+  }
+
+  const c = checker(report, 'Comic');
+  const pages = doc.pages.map((pg, p) => validatePage(pg, report, p)).filter(Boolean);
+  if (!pages.length) throw new Error('None of its pages could be read.');
+  const list = (v, label) => {
+    if (v == null) return [];
+    if (Array.isArray(v)) return v;
+    c.fix(`${label} is not a list; ignored`);
+    return [];
+  };
+  const keep = (label) => (ok) => {
+    if (!ok) report.dropped.push({ where: 'Comic', message: `An unreadable entry in ${label}` });
+    return ok;
+  };
+  const lang = doc.lang == null || LANG_RE.test(doc.lang) ? doc.lang || DEFAULT_LANG
+    : (c.fix(`Language “${doc.lang}” is not a language code; using ${DEFAULT_LANG}`), DEFAULT_LANG);
+  const pageBg = doc.pageBg == null || HEX_RE.test(doc.pageBg) ? doc.pageBg || PAGE_BG
+    : (c.fix(`Page colour “${doc.pageBg}” is not a #rrggbb colour; using ${PAGE_BG}`), PAGE_BG);
+
+  return {
+    version: SCHEMA_VERSION,
+    title: c.str(doc.title, 200, '', 'Title') || 'Untitled comic',
+    pageSize: c.pick(doc.pageSize, Object.keys(PAGE_SIZES), 'screen', 'page size'),
+    gutter: c.num(doc.gutter, 0, 80, GUTTER, 'Gutter'),
+    pageBg,
+    styles: list(doc.styles, 'Text styles')
+      .filter(st => keep('the text styles')(!!(st?.id && st.props && typeof st.props === 'object')))
+      .map(st => ({ id: String(st.id), name: String(st.name || 'Style'), props: styleProps(st.props) })),
+    fonts: list(doc.fonts, 'Fonts')
+      .filter(f => keep('the fonts')(!!(f?.family && typeof f.asset === 'string')))
+      .map(f => ({ id: String(f.id || uid()), family: String(f.family), asset: f.asset, type: f.type in FONT_FORMATS ? f.type : 'font/ttf' })),
+    library: list(doc.library, 'Asset library')
+      .filter(it => keep('the asset library')(!!(it?.id && typeof it.asset === 'string')))
+      .map(it => ({ id: String(it.id), name: String(it.name || 'Image'), asset: it.asset, w: clamp(Number(it.w) || 300, 10, 10_000), h: clamp(Number(it.h) || 220, 10, 10_000) })),
+    lang,
+    locales: [...new Set(list(doc.locales, 'Languages').filter(l => LANG_RE.test(l) && l !== lang))],
+    pages,
+  };
+};
+
+// --- autosave ---
+const AUTOSAVE_MS = 800;
+const LAST_COMIC_KEY = 'comicks:lastComic';
+const CLEAN_EXIT_KEY = 'comicks:cleanExit';
+
+// Write the document and any image binaries it needs to the local library
+const persistComic = async (id, doc, createdAt) => {
+  const assets = assetIds(doc);
+  const blobs = assets.filter(a => assetCache.has(a)).map(a => [a, assetCache.get(a).blob]);
+  const prev = await getComic(id);
+  await saveComicWithAssets({
+    id,
+    title: doc.title,
+    createdAt,
+    updatedAt: Date.now(),
+    doc: storableDoc(doc),
+    assets,
+    size: pageSizeOf(doc), // for the dashboard's thumbnails
+    activity: bumpActivity(prev?.activity),
+  }, blobs);
+};
+
+// Undo/redo over document snapshots; back-to-back edits with one `merge` key are one step
+const HISTORY_LIMIT = 200;
+const HISTORY_MERGE_MS = 1000;
+
+function useHistory(initial) {
+  const [hist, setHist] = useState(() => ({
+    past: [], present: typeof initial === 'function' ? initial() : initial, future: [], lastKey: null, lastAt: 0,
+  }));
+
+  const set = (fn, opts = {}) => {
+    setHist(h => {
+      const next = typeof fn === 'function' ? fn(h.present) : fn;
+      if (next === h.present) return h;
+      // Derived fix-ups (e.g. a box growing around its text) belong to the step that caused them
+      if (opts.amend) return { ...h, present: next };
+      const key = opts.merge || null;
+      const now = Date.now();
+      if (key && key === h.lastKey && (opts.gesture || now - h.lastAt < HISTORY_MERGE_MS)) {
+        return { ...h, present: next, future: [], lastAt: now };
+      }
+      return {
+        past: [...h.past, h.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: key,
+        lastAt: now,
+      };
+    });
+  };
+
+  // Close the current run so the next edit starts its own step
+  const settle = () => setHist(h => (h.lastKey ? { ...h, lastKey: null } : h));
+
+  const undo = () => setHist(h => {
+    if (!h.past.length) return h;
+    return { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], lastKey: null };
+  });
+
+  const redo = () => setHist(h => {
+    if (!h.future.length) return h;
+    return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), lastKey: null };
+  });
+
+  // Replace the document and forget its history (opening another comic)
+  const reset = (next) => setHist({ past: [], present: next, future: [], lastKey: null, lastAt: 0 });
+
+  return [hist.present, set, { undo, redo, reset, settle, canUndo: hist.past.length > 0, canRedo: hist.future.length > 0 }];
+}
+
+// --- App ---
+function App() {
+  const [doc, setDoc, history] = useHistory(DEFAULT_DOC);
+  const [pageIdx, setPageIdx] = useState(0);
+  const [selection, setSelection] = useState(() => selectionOf(0));
+  const [comicId, setComicId] = useState(uid);
+  const [ready, setReady] = useState(false);
+  const [saveState, setSaveState] = useState('idle'); // 'idle' | 'pending' | 'saving' | 'saved' | 'error'
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [customLayouts, setCustomLayouts] = useState(loadCustomLayouts);
+  const [layoutMode, setLayoutMode] = useState(false);
+  const [drawMode, setDrawMode] = useState(false);
+  const [brush, setBrush] = useState(DEFAULT_BRUSH);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [scriptOpen, setScriptOpen] = useState(false);
+  const [translateOpen, setTranslateOpen] = useState(false);
+  const [loadReport, setLoadReport] = useState(null); // { name, upgraded, fixed, dropped } after opening a file
+  const [langPick, setLang] = useState(null); // language shown and edited; see textIn
+  const [exporting, setExporting] = useState(false);
+  const [animPreview, setAnimPreview] = useState(null); // plan from buildAnimation
+  const [overflowing, setOverflowing] = useState({}); // element id -> true while its text does not fit
+  const boardRef = useRef(null);
+  const createdAtRef = useRef(Date.now());
+  const savedDocRef = useRef(null); // last doc written to (or read from) the library
+  const page = doc.pages[pageIdx] || doc.pages[0];
+  const size = pageSizeOf(doc);
+  const lang = languagesOf(doc).includes(langPick) ? langPick : baseLang(doc);
+  const translating = lang !== baseLang(doc) ? lang : null; // null while showing the base text
+  const presets = useMemo(
+    () => ({ ...LAYOUTS, ...Object.fromEntries(customLayouts.map(l => [l.id, l])) }),
+    [customLayouts]
+  );
+
+  // All panel/element edits go through the page currently shown
+  const setPage = (fn, opts) => {
+    setDoc(d => ({
+      ...d,
+      pages: d.pages.map((pg, i) => i === pageIdx ? (typeof fn === 'function' ? fn(pg) : fn) : pg),
+    }), opts);
+  };
+
+  // Undo can remove the page on screen; fall back to the last one
+  useEffect(() => {
+    if (pageIdx >= doc.pages.length) setPageIdx(doc.pages.length - 1);
+  }, [doc.pages.length, pageIdx]);
+
+  // A run of nudges or keystrokes ends with the selection, a click or a blur
+  const selectionKey = `${pageIdx}:${selection.panelIdx}:${selection.elIds.join()}`;
+  useEffect(() => history.settle(), [selectionKey]);
+  useEffect(() => {
+    window.addEventListener('pointerup', history.settle);
+    window.addEventListener('focusout', history.settle);
+    return () => {
+      window.removeEventListener('pointerup', history.settle);
+      window.removeEventListener('focusout', history.settle);
+    };
+  }, []);
+
+  // --- pages ---
+  const goToPage = (idx) => {
+    setPageIdx(idx);
+    setSelection(selectionOf(0));
+  };
+
+  const addPage = () => {
+    setDoc(d => ({ ...d, pages: [...d.pages, DEFAULT_PAGE()] }));
+    goToPage(doc.pages.length);
+  };
+
+  const duplicatePage = (idx) => {
+    setDoc(d => {
+      const pages = d.pages.slice();
+      pages.splice(idx + 1, 0, clonePage(d.pages[idx]));
+      return { ...d, pages };
+    });
+    goToPage(idx + 1);
+  };
+
+  const deletePage = (idx) => {
+    if (doc.pages.length <= 1) return;
+    setDoc(d => ({ ...d, pages: d.pages.filter((_, i) => i !== idx) }));
+    goToPage(clamp(idx <= pageIdx ? pageIdx - 1 : pageIdx, 0, doc.pages.length - 2));
+  };
+
+  const movePage = (from, to) => {
+    if (from === to) return;
+    setDoc(d => {
+      const pages = d.pages.slice();
+      const [moved] = pages.splice(from, 1);
+      pages.splice(to, 0, moved);
+      return { ...d, pages };
+    });
+    // Keep the same page on screen after the reorder
+    if (pageIdx === from) setPageIdx(to);
+    else if (from < pageIdx && to >= pageIdx) setPageIdx(pageIdx - 1);
+    else if (from > pageIdx && to <= pageIdx) setPageIdx(pageIdx + 1);
+  };
+
+  const setPanel = (idx, patch, opts) => {
+    setPage(p => {
+      const panels = p.panels.map((pan, i) => i === idx ? { ...pan, ...patch } : pan);
+      return { ...p, panels };
+    }, opts);
+  };
+
+  const mutateElement = (panelIdx, elId, patch, opts) => {
+    setPage(p => {
+      const panels = p.panels.map((pan, i) => {
+        if (i !== panelIdx) return pan;
+        const elements = pan.elements.map(el => el.id === elId ? { ...el, ...patch } : el);
+        return { ...pan, elements };
+      });
+      return { ...p, panels };
+    }, opts);
+  };
+
+  // Several elements of one panel in a single step: { [elId]: patch }
+  const mutateElements = (panelIdx, patches, opts) => {
+    setPage(p => {
+      const panels = p.panels.map((pan, i) => {
+        if (i !== panelIdx) return pan;
+        const elements = pan.elements.map(el => patches[el.id] ? { ...el, ...patches[el.id] } : el);
+        return { ...pan, elements };
+      });
+      return { ...p, panels };
+    }, opts);
+  };
+
+  // Append to a panel from the latest state (several may land in one tick, e.g. a multi-file drop)
+  const appendElements = (panelIdx, els) => {
+    setPage(p => ({
+      ...p,
+      panels: p.panels.map((pan, i) => i === panelIdx ? { ...pan, elements: [...pan.elements, ...els] } : pan),
+    }));
+  };
+
+  const addText = (panelIdx, subtype) => {
+    appendElements(panelIdx, [defaultText(subtype)]);
+  };
+
+  // `at` places the image's top-left (e.g. where a file was dropped)
+  const addImage = async (panelIdx, file, at = null) => {
+    if (!file || !file.type?.startsWith('image/')) return;
+    const asset = await registerAsset(file);
+    const url = assetURL(asset);
+    const el = defaultImage(url, await probeSize(url), asset);
+    appendElements(panelIdx, [at ? { ...el, x: Math.round(at.x), y: Math.round(at.y) } : el]);
+  };
+
+  const removeElements = (panelIdx, elIds) => {
+    setPage(p => {
+      const panels = p.panels.map((pan, i) => {
+        if (i !== panelIdx) return pan;
+        return { ...pan, elements: pan.elements.filter(el => !elIds.includes(el.id)) };
+      });
+      return { ...p, panels };
+    });
+    setSelection(s => selectionOf(s.panelIdx));
+  };
+
+  const removeElement = (panelIdx, elId) => removeElements(panelIdx, [elId]);
+
+  const reportOverflow = (elId, over) => setOverflowing(o => (!!o[elId] === over ? o : { ...o, [elId]: over }));
+
+  // --- text styles ---
+  const applyStyle = (panelIdx, elId, styleId) => {
+    const style = (doc.styles || []).find(st => st.id === styleId);
+    mutateElement(panelIdx, elId, style ? { ...style.props, textStyle: style.id } : { textStyle: null });
+  };
+
+  // Save an element's look as a new style (styleId null) or over an existing one,
+  // which restyles every element linked to it
+  const saveStyle = (el, styleId = null) => {
+    const existing = (doc.styles || []).find(st => st.id === styleId);
+    const name = existing ? existing.name : prompt('Style name', el.subtype === 'caption' ? 'Narrator' : 'New style');
+    if (!name) return;
+    const style = { id: existing?.id || uid(), name: name.trim(), props: styleProps(el) };
+    setDoc(d => {
+      const styles = existing ? d.styles.map(st => st.id === style.id ? style : st) : [...(d.styles || []), style];
+      const linked = mapElements(d, e => e.id === el.id ? { ...e, textStyle: style.id } : e);
+      return restyle({ ...linked, styles }, style);
+    });
+  };
+
+  const renameStyle = (styleId) => {
+    const style = (doc.styles || []).find(st => st.id === styleId);
+    const name = style && prompt('Rename style', style.name);
+    if (!name?.trim()) return;
+    setDoc(d => ({ ...d, styles: d.styles.map(st => st.id === styleId ? { ...st, name: name.trim() } : st) }));
+  };
+
+  // Elements keep their current look and simply lose the link
+  const deleteStyle = (styleId) => {
+    const style = (doc.styles || []).find(st => st.id === styleId);
+    if (!style || !confirm(`Delete the style "${style.name}"? Text using it keeps its current look.`)) return;
+    setDoc(d => ({
+      ...mapElements(d, e => e.textStyle === styleId ? { ...e, textStyle: null } : e),
+      styles: d.styles.filter(st => st.id !== styleId),
+    }));
+  };
+
+  // --- fonts ---
+  useEffect(() => installFonts(doc.fonts || []), [doc.fonts]);
+
+  // Upload TTF/OTF/WOFF/WOFF2 files; returns the family of the last one added
+  const addFonts = async (files) => {
+    const fonts = [];
+    for (const file of files) {
+      const ext = file.name.split('.').pop().toLowerCase();
+      if (!FONT_TYPES[ext]) {
+        alert(`${file.name} is not a TTF, OTF, WOFF or WOFF2 font.`);
+        continue;
+      }
+      const blob = new Blob([file], { type: FONT_TYPES[ext] }); // browsers rarely know font MIME types
+      const asset = await registerAsset(blob);
+      const family = file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || 'Custom font';
+      fonts.push({ id: uid(), family, asset, type: FONT_TYPES[ext] });
+    }
+    if (!fonts.length) return null;
+    setDoc(d => {
+      const known = new Set((d.fonts || []).map(f => f.family));
+      return { ...d, fonts: [...(d.fonts || []), ...fonts.filter(f => !known.has(f.family))] };
+    });
+    return fonts[fonts.length - 1].family;
+  };
+
+  // --- asset library ---
+  // Character art and props saved with the project, placed by drag and drop or click
+  const addToLibrary = async (files) => {
+    const items = [];
+    for (const file of files) {
+      if (!file.type?.startsWith('image/')) continue;
+      const asset = await registerAsset(file);
+      const size = await probeSize(assetURL(asset)) || { width: 300, height: 220 };
+      const k = Math.min(1, 300 / Math.max(size.width, size.height)); // placed at most 300px on a side
+      items.push({ id: uid(), name: file.name.replace(/\.[^.]+$/, '') || 'Image', asset, w: Math.round(size.width * k), h: Math.round(size.height * k) });
+    }
+    if (items.length) setDoc(d => ({ ...d, library: [...(d.library || []), ...items] }));
+  };
+
+  // Keep an image already on the page, at its current size
+  const saveToLibrary = (el) => {
+    if (!el.asset) return;
+    const name = prompt('Name in library', 'Character');
+    if (!name) return;
+    setDoc(d => ({ ...d, library: [...(d.library || []), { id: uid(), name: name.trim(), asset: el.asset, w: el.w, h: el.h }] }));
+  };
+
+  const placeLibraryItem = async (panelIdx, itemId, at = null) => {
+    const item = (doc.library || []).find(it => it.id === itemId);
+    if (!item || !(await loadAsset(item.asset))) return;
+    const el = { ...defaultImage(assetURL(item.asset), null, item.asset), w: item.w, h: item.h };
+    appendElements(panelIdx, [at ? { ...el, x: Math.round(at.x), y: Math.round(at.y) } : el]);
+    setSelection(selectionOf(panelIdx, [el.id]));
+  };
+
+  const renameLibraryItem = (itemId) => {
+    const item = (doc.library || []).find(it => it.id === itemId);
+    const name = item && prompt('Rename', item.name);
+    if (!name?.trim()) return;
+    setDoc(d => ({ ...d, library: d.library.map(it => it.id === itemId ? { ...it, name: name.trim() } : it) }));
+  };
+
+  // Copies already placed in panels stay; only the library entry goes
+  const removeLibraryItem = (itemId) => {
+    setDoc(d => ({ ...d, library: (d.library || []).filter(it => it.id !== itemId) }));
+  };
+
+  // --- clipboard ---
+  const clipboardRef = useRef(null); // { elements, pastes } — fallback when the system clipboard is unavailable
+
+  const pasteElements = async (panelIdx, els, offset) => {
+    for (const el of els) if (el.asset) await loadAsset(el.asset);
+    const copies = cloneElements(els, offset).map(el => el.asset ? { ...el, src: assetURL(el.asset) || el.src } : el);
+    appendElements(panelIdx, copies);
+    setSelection(selectionOf(panelIdx, copies.map(el => el.id)));
+  };
+
+  const copySelection = (e) => {
+    const els = selectedEls();
+    if (!els.length) return false;
+    clipboardRef.current = { elements: els, pastes: 0 };
+    e?.clipboardData?.setData('text/plain', JSON.stringify({ type: CLIPBOARD_TAG, elements: els }));
+    return true;
+  };
+
+  const duplicateSelection = () => {
+    const els = selectedEls();
+    if (els.length) pasteElements(selection.panelIdx, els, PASTE_OFFSET);
+  };
+
+  useEffect(() => {
+    const editingText = () => ['INPUT', 'TEXTAREA'].includes(document.activeElement?.tagName);
+    const onCopy = (e) => {
+      if (editingText() || !copySelection(e)) return;
+      e.preventDefault();
+    };
+    const onCut = (e) => {
+      if (editingText() || !copySelection(e)) return;
+      e.preventDefault();
+      const unlocked = selectedEls().filter(el => !el.locked).map(el => el.id);
+      if (unlocked.length) removeElements(selection.panelIdx, unlocked);
+    };
+    const onPaste = (e) => {
+      if (editingText()) return;
+      const data = e.clipboardData;
+      const files = Array.from(data?.files || []).filter(f => f.type.startsWith('image/'));
+      if (files.length) {
+        e.preventDefault();
+        files.forEach(f => addImage(selection.panelIdx, f));
+        return;
+      }
+      let els = null;
+      try {
+        const parsed = JSON.parse(data?.getData('text/plain') || '');
+        if (parsed?.type === CLIPBOARD_TAG && Array.isArray(parsed.elements)) els = parsed.elements;
+      } catch (err) {
+        els = null;
+      }
+      // Fall back to our own copy only when the browser gave us no clipboard data at all
+      if (!els && !data?.types?.length) els = clipboardRef.current?.elements;
+      if (!els?.length) return;
+      e.preventDefault();
+      // Each paste lands a little further along, so repeats don't stack exactly
+      const pastes = clipboardRef.current ? ++clipboardRef.current.pastes : 1;
+      pasteElements(selection.panelIdx, els.map(el => validateElement(el)).filter(Boolean), PASTE_OFFSET * pastes);
+    };
+    window.addEventListener('copy', onCopy);
+    window.addEventListener('cut', onCut);
+    window.addEventListener('paste', onPaste);
+    return () => {
+      window.removeEventListener('copy', onCopy);
+      window.removeEventListener('cut', onCut);
+      window.removeEventListener('paste', onPaste);
+    };
+  }, [selection, page]);
+
+  // --- arrange (multi-selection) ---
+  const selectedEls = () => {
+    const pan = page.panels[selection.panelIdx];
+    return pan ? pan.elements.filter(el => selection.elIds.includes(el.id)) : [];
+  };
+
+  const arrange = (how) => {
+    const els = selectedEls();
+    if (!els.length) return;
+    const box = panelBox(page.panels[selection.panelIdx], size, gutterOf(doc));
+    const patches = how === 'distribute-x' || how === 'distribute-y'
+      ? (els.length > 2 ? distributePatches(els, how.slice(-1)) : {})
+      : alignPatches(els, how, { x: 0, y: 0, w: box.w, h: box.h });
+    // Locked elements count towards the bounds but stay put
+    const locked = new Set(els.filter(el => el.locked).map(el => el.id));
+    mutateElements(selection.panelIdx, Object.fromEntries(Object.entries(patches).filter(([id]) => !locked.has(id))));
+  };
+
+  // Layers list drag: `ids` is the panel's new order, top first
+  const restack = (panelIdx, ids) => {
+    const els = page.panels[panelIdx].elements;
+    mutateElements(panelIdx, restackPatches(ids.map(id => els.find(el => el.id === id))));
+  };
+
+  const groupSelection = () => {
+    const els = selectedEls();
+    if (els.length < 2) return;
+    const group = uid();
+    mutateElements(selection.panelIdx, Object.fromEntries(els.map(el => [el.id, { group }])));
+  };
+
+  const ungroupSelection = () => {
+    const els = selectedEls().filter(el => el.group);
+    mutateElements(selection.panelIdx, Object.fromEntries(els.map(el => [el.id, { group: null }])));
+  };
+
+  // Rasterize one page at print resolution (switches the board to it first).
+  // `letters: false` drops the lettering only; `hide` is a set of element ids to leave out
+  const renderPage = async (i, { dpi, bleedMm, trimMarks, letters = true, hide = null }) => {
+    setPageIdx(i);
+    await nextFrame();
+    // Filtered photos on a page not yet shown are still being computed
+    await filtersSettled();
+    await document.fonts?.ready;
+    await nextFrame();
+    const ratio = dpi / PX_PER_INCH;
+    const fontEmbedCSS = doc.fonts?.length ? await embeddedFontCSS(doc.fonts) : undefined;
+    const img = await toCanvas(boardRef.current, {
+      fontEmbedCSS,
+      width: size.w,
+      height: size.h,
+      pixelRatio: ratio,
+      cacheBust: true,
+      backgroundColor: doc.pageBg || PAGE_BG,
+      style: { transform: 'none' }, // the on-screen fit-to-view scale
+      filter: letters && !hide?.size ? undefined
+        : (node) => !node.dataset || ((letters || node.dataset.letters === undefined) && !hide?.has(node.dataset.el)),
+    });
+    const bleed = Math.round((bleedMm / MM_PER_INCH) * dpi);
+    const slug = trimMarks ? Math.round(0.25 * dpi) : 0;
+    if (!bleed && !slug) return img;
+
+    const m = bleed + slug;
+    const out = document.createElement('canvas');
+    out.width = img.width + 2 * m;
+    out.height = img.height + 2 * m;
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.drawImage(img, m, m);
+    if (bleed) {
+      // Bleed stretches the outermost row of pixels past the trim: the page colour,
+      // or the artwork of panels that bleed off that edge
+      const { width: W, height: H } = img;
+      ctx.drawImage(img, 0, 0, 1, H, slug, m, bleed, H);
+      ctx.drawImage(img, W - 1, 0, 1, H, m + W, m, bleed, H);
+      ctx.drawImage(img, 0, 0, W, 1, m, slug, W, bleed);
+      ctx.drawImage(img, 0, H - 1, W, 1, m, m + H, W, bleed);
+      for (const [sx, sy, dx, dy] of [[0, 0, slug, slug], [W - 1, 0, m + W, slug], [0, H - 1, slug, m + H], [W - 1, H - 1, m + W, m + H]]) {
+        ctx.drawImage(img, sx, sy, 1, 1, dx, dy, bleed, bleed);
+      }
+    }
+    if (trimMarks) {
+      const gap = Math.round(dpi / 50);
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = Math.max(1, dpi / 300);
+      ctx.beginPath();
+      for (const x of [m, m + img.width]) {
+        ctx.moveTo(x, 0); ctx.lineTo(x, slug - gap);
+        ctx.moveTo(x, out.height); ctx.lineTo(x, out.height - slug + gap);
+      }
+      for (const y of [m, m + img.height]) {
+        ctx.moveTo(0, y); ctx.lineTo(slug - gap, y);
+        ctx.moveTo(out.width, y); ctx.lineTo(out.width - slug + gap, y);
+      }
+      ctx.stroke();
+    }
+    return out;
+  };
+
+  // Stack pages (or each panel) into one vertical strip at a fixed width, then
+  // cut it into numbered slices and download them as a zip
+  const exportWebtoon = async ({ stack, width, spacing, maxHeight }, stamp) => {
+    const blocks = []; // { canvas, sx, sy, sw, sh, h, spans } — h and spans in strip px
+    for (let i = 0; i < doc.pages.length; i++) {
+      const pg = doc.pages[i];
+      if (stack === 'pages') {
+        const canvas = await renderPage(i, { dpi: (width / size.w) * PX_PER_INCH, bleedMm: 0, trimMarks: false });
+        const k = width / size.w;
+        const spans = pg.panels.flatMap(pan => textSpans(pan, panelBox(pan, size, gutterOf(doc)))).map(([a, b]) => [a * k, b * k]);
+        blocks.push({ canvas, sx: 0, sy: 0, sw: canvas.width, sh: canvas.height, h: canvas.height, spans });
+        continue;
+      }
+      // Render sharp enough that the narrowest panel still fills the width
+      const boxes = pg.panels.map(pan => panelBox(pan, size, gutterOf(doc)));
+      const ratio = clamp(width / Math.min(...boxes.map(b => b.w)), 0.5, 4);
+      const canvas = await renderPage(i, { dpi: ratio * PX_PER_INCH, bleedMm: 0, trimMarks: false });
+      pg.panels.forEach((pan, j) => {
+        const box = boxes[j];
+        const k = width / box.w;
+        const spans = textSpans(pan, box).map(([a, b]) => [(a - box.y) * k, (b - box.y) * k]);
+        blocks.push({ canvas, sx: box.x * ratio, sy: box.y * ratio, sw: box.w * ratio, sh: box.h * ratio, h: Math.round(box.h * k), spans });
+      });
+    }
+
+    // Lay blocks out top to bottom
+    let y = 0;
+    const forbidden = [];
+    blocks.forEach((b, i) => {
+      b.top = y;
+      b.spans.forEach(([s0, s1]) => forbidden.push([y + s0, y + s1]));
+      y += b.h + (i < blocks.length - 1 ? spacing : 0);
+    });
+
+    const zip = new JSZip();
+    const slices = sliceStrip(y, maxHeight, forbidden);
+    for (let n = 0; n < slices.length; n++) {
+      const [s0, s1] = slices[n];
+      const out = document.createElement('canvas');
+      out.width = width;
+      out.height = Math.ceil(s1 - s0);
+      const ctx = out.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, out.width, out.height);
+      for (const b of blocks) {
+        const top = Math.max(s0, b.top), bottom = Math.min(s1, b.top + b.h);
+        if (bottom <= top) continue;
+        const k = b.sh / b.h; // source px per strip px
+        ctx.drawImage(b.canvas, b.sx, b.sy + (top - b.top) * k, b.sw, (bottom - top) * k, 0, top - s0, width, bottom - top);
+      }
+      const blob = await new Promise(res => out.toBlob(res, 'image/png'));
+      zip.file(`${String(n + 1).padStart(3, '0')}.png`, blob);
+    }
+    const url = URL.createObjectURL(await zip.generateAsync({ type: 'blob' }));
+    download(url, `comic-webtoon-${stamp}.zip`);
+    return slices.length;
+  };
+
+  // A standalone HTML reader in language `l`: each page drawn without its
+  // lettering, which is copied from the board as laid out and set over the art
+  const exportReader = async (stamp, l) => {
+    const fontCSS = doc.fonts?.length ? await embeddedFontCSS(doc.fonts) : '';
+    const pages = [];
+    for (let i = 0; i < doc.pages.length; i++) {
+      const canvas = await renderPage(i, { dpi: READER_RATIO * PX_PER_INCH, bleedMm: 0, trimMarks: false, letters: false });
+      const letters = new Map([...boardRef.current.querySelectorAll('[data-letters]')].map(node => [node.dataset.letters, node.outerHTML]));
+      pages.push({
+        art: canvas.toDataURL('image/jpeg', 0.92),
+        panels: doc.pages[i].panels.map(pan => ({
+          box: panelBox(pan, size, gutterOf(doc)),
+          alt: pan.alt,
+          images: pan.elements.filter(el => el.type === 'image' && !el.hidden && el.alt?.trim()).map(el => el.alt.trim()),
+          balloons: readingOrder(pan).filter(el => letters.has(el.id)).map(el => ({ el, html: letters.get(el.id) })),
+        })),
+      });
+    }
+    const html = writeReader({ title: doc.title, lang: l, size, fontCSS, pages });
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    download(url, `comic-${stamp}.html`);
+  };
+
+  // Base render plus one layer per balloon; overlapping balloons get a render of their own
+  const buildAnimation = async ({ hold, fade }, ratio) => {
+    const pages = [];
+    for (let i = 0; i < doc.pages.length; i++) {
+      const pg = doc.pages[i];
+      const texts = animationTexts(pg).map(el => el.id);
+      const render = (hide) => renderPage(i, { dpi: ratio * PX_PER_INCH, bleedMm: 0, trimMarks: false, hide: new Set(hide) });
+      const base = await render(texts);
+      const rects = layerBounds(boardRef.current, texts, size, ratio);
+      const stack = pg.panels.flatMap(pan => [...pan.elements].sort((a, b) => (a.z || 0) - (b.z || 0)).map(el => el.id));
+      const layers = [];
+      let all = null;
+      for (const id of texts.filter(t => rects[t])) {
+        const r = rects[id];
+        const alone = texts.every(o => o === id || !rects[o] || !overlaps(r, rects[o]));
+        if (alone && !all) all = await render([]);
+        const over = alone ? all : await render(texts.filter(o => o !== id));
+        layers.push({ id, canvas: diffLayer(base, over, r), x: r.x, y: r.y });
+        if (!alone) freeCanvas(over);
+      }
+      if (all) freeCanvas(all);
+      layers.sort((a, b) => stack.indexOf(a.id) - stack.indexOf(b.id));
+      const boxes = pg.panels.map(pan => {
+        const b = panelBox(pan, size, gutterOf(doc));
+        return { x: b.x * ratio, y: b.y * ratio, w: b.w * ratio, h: b.h * ratio };
+      });
+      pages.push({ base, boxes, texts, layers });
+    }
+    const { steps, duration } = animationSteps(doc, { hold, fade });
+    const { base } = pages[0];
+    return { width: base.width, height: base.height, bg: doc.pageBg || PAGE_BG, steps, duration, pages };
+  };
+
+  const exportAnimation = async (opts, stamp) => {
+    const plan = await buildAnimation(opts, opts.clipWidth / size.w);
+    const canvas = document.createElement('canvas');
+    canvas.width = plan.width;
+    canvas.height = plan.height;
+    let blob;
+    try {
+      blob = opts.format === 'webm' ? await recordWebM(canvas, plan, ANIM_FPS.webm) : await encodeGIF(canvas, plan);
+    } finally {
+      releaseAnimation(plan);
+      freeCanvas(canvas);
+    }
+    download(URL.createObjectURL(blob), `comic-${stamp}.${opts.format}`);
+    return `a ${plan.duration.toFixed(1)} s ${ANIM_FORMATS[opts.format]} of ${doc.pages.length} page(s)`;
+  };
+
+  // A small-size build of the animation for the preview player
+  const previewAnimation = async (opts) => {
+    const shown = pageIdx;
+    setExporting(true);
+    try {
+      setAnimPreview(await buildAnimation(opts, Math.min(1, PREVIEW_WIDTH / size.w)));
+    } catch (e) {
+      console.error(e);
+      alert(`Could not prepare the preview: ${e.message}\n\nTry smaller images.`);
+    } finally {
+      setExporting(false);
+      setPageIdx(shown);
+    }
+  };
+
+  // The preview's renders go once it closes or a new one replaces it
+  useEffect(() => () => { if (animPreview) releaseAnimation(animPreview); }, [animPreview]);
+
+  // Every page as PNG files or one multi-page PDF, once per language when
+  // opts.allLanguages is set; logged in the dashboard's export history
+  const exportComic = async (opts) => {
+    if (!boardRef.current) return;
+    const shown = pageIdx;
+    const shownLang = lang;
+    const langs = opts.allLanguages ? languagesOf(doc) : [lang];
+    const stamp = Date.now();
+    setExportOpen(false);
+    setExporting(true);
+    let summary = '';
+    try {
+      for (const l of langs) {
+        setLang(l);
+        await nextFrame();
+        summary = await exportEdition(opts, langs.length > 1 ? `${stamp}-${l}` : stamp, l);
+      }
+      if (langs.length > 1) summary += ` in ${langs.length} languages (${langs.join(', ')})`;
+      // The dashboard's export history; losing an entry is no reason to fail the export
+      await logExport({ comicId, title: doc.title, format: opts.format, pages: doc.pages.length, languages: langs })
+        .catch(e => console.error(e));
+      alert(`Exported ${summary}.`);
+    } catch (e) {
+      console.error(e);
+      alert(`Export failed: ${e.message}\n\nLarge or cross-origin images are the usual cause; try smaller images or a lower DPI.`);
+    } finally {
+      setExporting(false);
+      setLang(shownLang);
+      setPageIdx(shown);
+    }
+  };
+
+  // One language's files; resolves with what was written, for the summary
+  const exportEdition = async (opts, stamp, l) => {
+    if (opts.format === 'webtoon') {
+      return `a webtoon strip in ${await exportWebtoon(opts, stamp)} slice(s)`;
+    }
+    if (opts.format === 'reader') {
+      await exportReader(stamp, l);
+      return `${doc.pages.length} page(s) as an HTML reader`;
+    }
+    if (ANIM_FORMATS[opts.format]) return exportAnimation(opts, stamp);
+    if (opts.format === 'pdf') {
+      let pdf = null;
+      for (let i = 0; i < doc.pages.length; i++) {
+        const canvas = await renderPage(i, opts);
+        // PDF units are points (72 per inch)
+        const w = (canvas.width / opts.dpi) * 72, h = (canvas.height / opts.dpi) * 72;
+        if (!pdf) pdf = new jspdf.jsPDF({ unit: 'pt', format: [w, h], orientation: w > h ? 'landscape' : 'portrait' });
+        else pdf.addPage([w, h], w > h ? 'landscape' : 'portrait');
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, w, h);
+      }
+      pdf.save(`comic-${stamp}.pdf`);
+    } else {
+      for (let i = 0; i < doc.pages.length; i++) {
+        const canvas = await renderPage(i, opts);
+        const suffix = doc.pages.length > 1 ? `-p${String(i + 1).padStart(2, '0')}` : '';
+        download(canvas.toDataURL('image/png'), `comic-${stamp}${suffix}.png`);
+      }
+    }
+    return `${doc.pages.length} page(s) as ${opts.format.toUpperCase()}`;
+  };
+
+  // --- script ---
+  // Lay a script out as new pages; 'replace' swaps them in for the whole comic
+  const importScript = (text, mode) => {
+    const script = parseScript(text);
+    const pages = scriptPages(script, size, gutterOf(doc));
+    if (!pages.length) {
+      alert('No panels found. Start each panel with a line like "PANEL 1".');
+      return;
+    }
+    const lineCount = script.pages.reduce((n, pg) => n + pg.panels.reduce((m, p) => m + p.lines.length, 0), 0);
+    if (mode === 'replace' && !confirm(`Replace all ${doc.pages.length} page(s) with ${pages.length} from the script?`)) return;
+    const first = mode === 'replace' ? 0 : doc.pages.length;
+    setDoc(d => ({
+      ...d,
+      title: mode === 'replace' && script.title ? script.title : d.title,
+      pages: mode === 'replace' ? pages : [...d.pages, ...pages],
+    }));
+    setScriptOpen(false);
+    goToPage(first);
+    setNotice(`Imported ${pages.length} page(s) with ${lineCount} balloon(s) and caption(s) from the script.`);
+  };
+
+  const exportScript = () => {
+    const url = URL.createObjectURL(new Blob([writeScript(doc)], { type: 'text/plain' }));
+    download(url, `${(doc.title || 'comic').replace(/[^\w-]+/g, '-')}-script.txt`);
+  };
+
+  // --- translations ---
+  const setBaseLang = (code) => {
+    if (!LANG_RE.test(code) || languagesOf(doc).includes(code)) return;
+    setDoc(d => ({ ...d, lang: code }));
+  };
+
+  const addLocale = (code) => {
+    const l = code.trim();
+    if (!LANG_RE.test(l)) {
+      alert('Use a language code such as "fr", "pt-BR" or "ja".');
+      return;
+    }
+    if (!languagesOf(doc).includes(l)) setDoc(d => ({ ...d, locales: [...(d.locales || []), l] }));
+    setLang(l);
+  };
+
+  const removeLocale = (code) => {
+    const count = allElements(doc).filter(el => el.translations?.[code]).length;
+    if (count && !confirm(`Delete the ${code} language and its ${count} translated text(s)?`)) return;
+    setDoc(d => mapElements({ ...d, locales: (d.locales || []).filter(l => l !== code) }, el => {
+      if (!el.translations?.[code]) return el;
+      const translations = Object.fromEntries(Object.entries(el.translations).filter(([l]) => l !== code));
+      return { ...el, translations };
+    }));
+  };
+
+  const exportStrings = (code, format) => {
+    const type = format === 'xliff' ? 'application/xliff+xml' : format === 'po' ? 'text/x-gettext-translation' : 'text/csv';
+    const url = URL.createObjectURL(new Blob([writeStrings(doc, code, format)], { type }));
+    download(url, `${(doc.title || 'comic').replace(/[^\w-]+/g, '-')}-${code}.${format === 'xliff' ? 'xlf' : format}`);
+  };
+
+  // A translator's CSV/PO/XLIFF file; the language comes from the file, else `code`
+  const importStrings = async (file, code) => {
+    if (!file) return;
+    let parsed;
+    try {
+      parsed = parseStrings(await file.text(), file.name);
+    } catch (e) {
+      alert(`Could not read ${file.name}. ${e.message}`);
+      return;
+    }
+    const l = parsed.lang || code;
+    if (!LANG_RE.test(l || '') || l === baseLang(doc)) {
+      alert(`${file.name} has no target language other than the comic's own (${baseLang(doc)}).`);
+      return;
+    }
+    const result = withTranslations(doc, l, parsed.strings);
+    const locales = languagesOf(doc).includes(l) ? doc.locales || [] : [...(doc.locales || []), l];
+    setDoc({ ...result.doc, locales });
+    setLang(l);
+    const missing = untranslated(result.doc, l).length;
+    setNotice(`Imported ${result.applied} ${l} string(s)`
+      + (result.unknown ? `; ${result.unknown} belong to balloons this comic no longer has` : '')
+      + (missing ? `; ${missing} balloon(s) still need a translation.` : '.'));
+  };
+
+  // Save / Load JSON (self-contained: images travel inside the file)
+  const saveJSON = async () => {
+    let bundle;
+    try {
+      bundle = await bundleDoc(doc);
+    } catch (e) {
+      console.error(e);
+      alert(`Could not save the comic: ${e.message}`);
+      return;
+    }
+    const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    download(url, 'comic.json');
+  };
+
+  const loadJSON = async (file) => {
+    if (!file) return;
+    let raw;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch (e) {
+      alert(`Could not open ${file.name}: it is not valid JSON (${e.message}).`);
+      return;
+    }
+    const report = newReport();
+    let next;
+    try {
+      next = loadDoc(raw, report);
+    } catch (e) {
+      alert(`Could not open ${file.name}: ${e.message}`);
+      return;
+    }
+    let loaded;
+    try {
+      importBundleAssets(raw.assets);
+      ({ doc: loaded } = await hydrateAssets(await adoptInlineImages(next)));
+    } catch (e) {
+      console.error(e);
+      alert(`Could not open ${file.name}: ${e.message}`);
+      return;
+    }
+    startComic(loaded);
+    const missing = missingImages(loaded);
+    if (missing.length) alert(`${missing.length} image(s) could not be restored and are shown as placeholders:\n${missing.join('\n')}`);
+    if (report.upgraded.length || report.fixed.length || report.dropped.length) setLoadReport({ name: file.name, ...report });
+  };
+
+  // --- layout editing ---
+  // Size of the area panel rects are fractions of (the page minus its edge gutter)
+  const boardSize = () => ({ w: size.w - gutterOf(doc), h: size.h - gutterOf(doc) });
+
+  const saveLayoutPreset = () => {
+    const name = prompt('Name for this layout preset', `My layout (${page.panels.length} panels)`);
+    if (!name?.trim()) return;
+    const preset = { id: `custom-${uid()}`, name: name.trim(), rects: page.panels.map(p => ({ ...p.rect })) };
+    const list = [...customLayouts, preset];
+    saveCustomLayouts(list);
+    setCustomLayouts(list);
+    setPage(p => ({ ...p, layout: preset.id }));
+  };
+
+  const deleteLayoutPreset = (id) => {
+    const list = customLayouts.filter(l => l.id !== id);
+    saveCustomLayouts(list);
+    setCustomLayouts(list);
+  };
+
+  // --- library / autosave ---
+  // Loaded files are saved straight away; a blank comic once it is edited
+  const startComic = (next, { persist = true } = {}) => {
+    history.reset(next);
+    savedDocRef.current = persist ? null : next;
+    setComicId(uid());
+    createdAtRef.current = Date.now();
+    goToPage(0);
+  };
+
+  // Resolves false, after telling the user why, when the stored comic cannot be read
+  const openComic = async (rec) => {
+    // Stored comics are upgraded quietly; only repairs are worth interrupting for
+    const report = newReport();
+    let loaded;
+    try {
+      ({ doc: loaded } = await hydrateAssets(loadDoc(rec.doc, report)));
+    } catch (e) {
+      console.error(e);
+      alert(`Could not open “${rec.title}”: ${e.message}`);
+      return false;
+    }
+    if (report.fixed.length || report.dropped.length) setLoadReport({ name: rec.title, ...report });
+    history.reset(loaded);
+    savedDocRef.current = loaded;
+    setComicId(rec.id);
+    createdAtRef.current = rec.createdAt || Date.now();
+    setSaveState('saved');
+    goToPage(0);
+    localStorage.setItem(LAST_COMIC_KEY, rec.id);
+    const missing = missingImages(loaded);
+    if (missing.length) alert(`${missing.length} image(s) in this comic could not be found:\n${missing.join('\n')}`);
+    return true;
+  };
+
+  // Startup: open ?comic=<id> (or ?comic=new), else the last comic
+  useEffect(() => {
+    (async () => {
+      const cleanExit = localStorage.getItem(CLEAN_EXIT_KEY) !== '0';
+      localStorage.setItem(CLEAN_EXIT_KEY, '0');
+      const wanted = new URLSearchParams(location.search).get('comic');
+      if (wanted) window.history.replaceState(null, '', location.pathname); // a reload reopens the last comic
+      try {
+        const id = wanted || localStorage.getItem(LAST_COMIC_KEY);
+        const rec = id && id !== 'new' && await getComic(id);
+        if (wanted && wanted !== 'new' && !rec) setNotice('That comic is no longer in your library; starting a new one.');
+        if (rec && await openComic(rec)) {
+          if (!cleanExit && !wanted) setNotice(`Recovered “${rec.title}” from the autosave at ${new Date(rec.updatedAt).toLocaleTimeString()}.`);
+        } else {
+          savedDocRef.current = doc; // nothing worth saving in a blank comic yet
+        }
+      } catch (e) {
+        console.error(e);
+        savedDocRef.current = doc;
+        setNotice(`Could not read your saved comics (${e.message}); starting a new one.`);
+      }
+      setReady(true);
+    })();
+  }, []);
+
+  // Debounced autosave of every document change
+  useEffect(() => {
+    if (!ready || doc === savedDocRef.current) return;
+    setSaveState('pending');
+    const t = setTimeout(async () => {
+      setSaveState('saving');
+      try {
+        await persistComic(comicId, doc, createdAtRef.current);
+        savedDocRef.current = doc;
+        localStorage.setItem(LAST_COMIC_KEY, comicId);
+        setSaveState('saved');
+      } catch (e) {
+        console.error(e);
+        setSaveState('error');
+      }
+    }, AUTOSAVE_MS);
+    return () => clearTimeout(t);
+  }, [doc, comicId, ready]);
+
+  // Leaving with nothing pending counts as a clean exit; otherwise try one last save
+  useEffect(() => {
+    const onHide = () => {
+      const clean = doc === savedDocRef.current;
+      localStorage.setItem(CLEAN_EXIT_KEY, clean ? '1' : '0');
+      if (!clean && ready) persistComic(comicId, doc, createdAtRef.current).catch(() => {});
+    };
+    window.addEventListener('pagehide', onHide);
+    return () => window.removeEventListener('pagehide', onHide);
+  }, [doc, comicId, ready]);
+
+  // Keyboard: undo/redo, group, delete, nudge and z-order (on every selected element)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!document.activeElement || document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA') return;
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        e.shiftKey ? history.redo() : history.undo();
+        return;
+      }
+      if (mod && e.key.toLowerCase() === 'y') {
+        e.preventDefault();
+        history.redo();
+        return;
+      }
+      const { panelIdx, elIds } = selection;
+      const els = selectedEls();
+      if (!els.length) return;
+      const each = (fn) => Object.fromEntries(els.map(el => [el.id, fn(el)]));
+      const step = e.shiftKey ? 10 : 1;
+      if (mod && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        duplicateSelection();
+      } else if (mod && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        e.shiftKey ? ungroupSelection() : groupSelection();
+      } else if (e.key === 'Escape') {
+        setSelection(selectionOf(panelIdx));
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        const unlocked = els.filter(el => !el.locked).map(el => el.id);
+        if (unlocked.length) removeElements(panelIdx, unlocked);
+      } else if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight'].includes(e.key)) {
+        e.preventDefault();
+        const dx = (e.key === 'ArrowRight') ? step : (e.key === 'ArrowLeft' ? -step : 0);
+        const dy = (e.key === 'ArrowDown') ? step : (e.key === 'ArrowUp' ? -step : 0);
+        mutateElements(panelIdx, each(el => (el.locked ? {} : { x: el.x + dx, y: el.y + dy })), { merge: `nudge:${elIds.join()}` });
+      } else if (e.key === ']') {
+        e.preventDefault();
+        mutateElements(panelIdx, each(el => ({ z: (el.z ?? 0) + 1 })));
+      } else if (e.key === '[') {
+        e.preventDefault();
+        mutateElements(panelIdx, each(el => ({ z: Math.max(0, (el.z ?? 0) - 1) })));
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [selection, page]);
+
+  // Render
+  return (
+    <div className="min-h-screen grid grid-rows-[auto,1fr]">
+      <Header
+        page={page}
+        title={doc.title}
+        saveState={saveState}
+        onTitle={(title) => setDoc(d => ({ ...d, title }), { merge: 'title' })}
+        onLibrary={() => setLibraryOpen(true)}
+        presets={presets}
+        onLayout={(layout) => setPage(p => withLayout(p, layout, presets))}
+        layoutMode={layoutMode}
+        onLayoutMode={() => { setDrawMode(false); setLayoutMode(m => !m); }}
+        drawMode={drawMode}
+        onDrawMode={() => { setLayoutMode(false); setDrawMode(m => !m); }}
+        onUndo={history.undo}
+        onRedo={history.redo}
+        canUndo={history.canUndo}
+        canRedo={history.canRedo}
+        pageSize={doc.pageSize}
+        onPageSize={(pageSize) => setDoc(d => ({ ...d, pageSize }))}
+        onScript={() => setScriptOpen(true)}
+        languages={languagesOf(doc)}
+        lang={lang}
+        onLang={setLang}
+        onTranslate={() => setTranslateOpen(true)}
+        onExport={() => setExportOpen(true)}
+        onSave={saveJSON}
+        onLoad={loadJSON}
+      />
+
+      {notice && (
+        <div className="mx-3 mt-3 px-3 py-2 rounded bg-amber-100 text-amber-900 text-sm flex items-center gap-2" role="status">
+          <span className="grow">{notice}</span>
+          <button className="underline" onClick={() => setNotice(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {exportOpen && (
+        <ExportDialog
+          pageCount={doc.pages.length}
+          languages={languagesOf(doc)}
+          onExport={exportComic}
+          onPreview={previewAnimation}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+
+      {animPreview && <AnimationPreview plan={animPreview} onClose={() => setAnimPreview(null)} />}
+
+      {loadReport && <LoadReport report={loadReport} onClose={() => setLoadReport(null)} />}
+
+      {translateOpen && (
+        <TranslateDialog
+          doc={doc}
+          onBaseLang={setBaseLang}
+          onAdd={addLocale}
+          onRemove={removeLocale}
+          onExport={exportStrings}
+          onImport={importStrings}
+          onClose={() => setTranslateOpen(false)}
+        />
+      )}
+
+      {scriptOpen && (
+        <ScriptDialog
+          onImport={importScript}
+          onExport={exportScript}
+          onClose={() => setScriptOpen(false)}
+        />
+      )}
+
+      {libraryOpen && (
+        <Library
+          currentId={comicId}
+          onOpen={async (rec) => { if (await openComic(rec)) setLibraryOpen(false); }}
+          onNew={() => { setLibraryOpen(false); startComic(DEFAULT_DOC(), { persist: false }); }}
+          onRenameCurrent={(title) => setDoc(d => ({ ...d, title }))}
+          onDeletedCurrent={() => startComic(DEFAULT_DOC(), { persist: false })}
+          onClose={() => setLibraryOpen(false)}
+        />
+      )}
+
+      <div className="grid md:grid-cols-[140px,1fr,320px] gap-3 p-3">
+        <PageStrip
+          pages={doc.pages}
+          size={size}
+          pageBg={doc.pageBg || PAGE_BG}
+          presets={presets}
+          current={pageIdx}
+          onSelect={goToPage}
+          onAdd={addPage}
+          onDuplicate={duplicatePage}
+          onDelete={deletePage}
+          onMove={movePage}
+        />
+        <Board
           ref={boardRef}
           page={page}
+          size={size}
+          gutter={gutterOf(doc)}
+          pageBg={doc.pageBg || PAGE_BG}
+          exporting={exporting}
+          layoutMode={layoutMode}
+          brush={drawMode ? brush : null}
+          setPage={setPage}
           selection={selection}
           setSelection={setSelection}
-          setPanel={setPanel}
+          mutateElements={mutateElements}
           mutateElement={mutateElement}
           addText={addText}
           addImage={addImage}
+          appendElements={appendElements}
+          removeElements={removeElements}
+          placeLibraryItem={placeLibraryItem}
+          onOverflow={reportOverflow}
+          lang={translating}
+        />
+        <div className="min-w-0">
+          {drawMode ? (
+            <DrawTools brush={brush} onBrush={setBrush} onDone={() => setDrawMode(false)} />
+          ) : layoutMode ? (
+            <LayoutTools
+              page={page}
+              panelIdx={selection.panelIdx}
+              isCustomPreset={customLayouts.some(l => l.id === page.layout)}
+              onSplit={(axis) => setPage(p => splitPanel(p, selection.panelIdx, axis))}
+              onMerge={(dir) => setPage(p => mergePanels(p, selection.panelIdx, dir, boardSize()))}
+              onSavePreset={saveLayoutPreset}
+              onDeletePreset={() => deleteLayoutPreset(page.layout)}
+              gutter={gutterOf(doc)}
+              pageBg={doc.pageBg || PAGE_BG}
+              onPageStyle={(patch) => setDoc(d => ({ ...d, ...patch }), { merge: `page-style:${Object.keys(patch).join()}` })}
+              onDone={() => setLayoutMode(false)}
+            />
+          ) : (
+            <Inspector
+              page={page}
+              selection={selection}
+              mutateElement={mutateElement}
+              removeElement={removeElement}
+              removeElements={removeElements}
+              onArrange={arrange}
+              onGroup={groupSelection}
+              onUngroup={ungroupSelection}
+              setPanel={setPanel}
+              styles={doc.styles || []}
+              fonts={doc.fonts || []}
+              onAddFonts={addFonts}
+              onApplyStyle={applyStyle}
+              onSaveStyle={saveStyle}
+              onRenameStyle={renameStyle}
+              onDeleteStyle={deleteStyle}
+              onSaveToLibrary={saveToLibrary}
+              overflowing={overflowing}
+              lang={translating}
+              onRestack={restack}
+              onSelect={(panelIdx, elId, add) => setSelection(s => selectionOf(panelIdx, add && s.panelIdx === panelIdx
+                ? (s.elIds.includes(elId) ? s.elIds.filter(id => id !== elId) : [...s.elIds, elId])
+                : [elId]))}
+            />
+          )}
+          <AssetShelf
+            items={doc.library || []}
+            onAdd={addToLibrary}
+            onPlace={(itemId) => placeLibraryItem(selection.panelIdx, itemId)}
+            onRename={renameLibraryItem}
+            onRemove={removeLibraryItem}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Header ---
+const SAVE_LABELS = { pending: 'Unsaved changes', saving: 'Saving…', saved: 'All changes saved', error: 'Autosave failed' };
+
+function Header({ page, title, saveState, onTitle, onLibrary, presets, onLayout, layoutMode, onLayoutMode, drawMode, onDrawMode, onUndo, onRedo, canUndo, canRedo, pageSize, onPageSize, onScript, languages, lang, onLang, onTranslate, onExport, onSave, onLoad }) {
+  const fileJSON = useRef(null);
+  return (
+    <header className="bg-white border-b">
+      <div className="mx-auto max-w-7xl px-3 py-3 flex flex-wrap items-center gap-2">
+        <a href="dashboard.html" className="text-slate-700 hover:underline font-semibold">Dashboard</a>
+        <button className="px-3 py-1 rounded border" onClick={onLibrary}>My comics</button>
+        <input
+          className="border rounded px-2 py-1 min-w-0"
+          value={title}
+          onChange={(e) => onTitle(e.target.value)}
+          aria-label="Comic title"
+        />
+        <span className={`text-xs ${saveState === 'error' ? 'text-red-600' : 'text-slate-500'}`}>{SAVE_LABELS[saveState] || ''}</span>
+        <div className="grow" />
+        <div className="flex items-center gap-2">
+          <button className="px-3 py-1 rounded border disabled:opacity-40" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)" aria-label="Undo">Undo</button>
+          <button className="px-3 py-1 rounded border disabled:opacity-40" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" aria-label="Redo">Redo</button>
+          <select
+            className="border rounded px-2 py-1"
+            value={page.layout}
+            onChange={(e) => onLayout(e.target.value)}
+            title="Panel layout"
+          >
+            {!presets[page.layout] && <option value={page.layout}>Custom layout</option>}
+            {/* built-ins by panel count, then the user's own presets */}
+            {Object.entries(presets)
+              .sort(([ka, a], [kb, b]) => (ka.startsWith('custom-') - kb.startsWith('custom-')) || a.rects.length - b.rects.length)
+              .map(([k, v]) => (
+              <option key={k} value={k}>{v.name}</option>
+            ))}
+          </select>
+          <button
+            className={`px-3 py-1 rounded border ${layoutMode ? 'bg-sky-100 border-sky-500' : ''}`}
+            onClick={onLayoutMode}
+            aria-pressed={layoutMode}
+          >Edit layout</button>
+          <button
+            className={`px-3 py-1 rounded border ${drawMode ? 'bg-sky-100 border-sky-500' : ''}`}
+            onClick={onDrawMode}
+            aria-pressed={drawMode}
+          >Draw</button>
+
+          <select
+            className="border rounded px-2 py-1"
+            value={pageSize in PAGE_SIZES ? pageSize : 'screen'}
+            onChange={(e) => onPageSize(e.target.value)}
+            title="Page size"
+          >
+            {Object.entries(PAGE_SIZES).map(([k, v]) => (
+              <option key={k} value={k}>{v.name}</option>
+            ))}
+          </select>
+
+          <select
+            className="border rounded px-2 py-1"
+            value={lang}
+            onChange={(e) => onLang(e.target.value)}
+            title="Language shown and edited"
+            aria-label="Language"
+          >
+            {languages.map((l, i) => <option key={l} value={l}>{l}{i === 0 ? ' (original)' : ''}</option>)}
+          </select>
+          <button className="px-3 py-1 rounded border" onClick={onTranslate}>Translate…</button>
+          <button className="px-3 py-1 rounded border" onClick={onScript}>Script…</button>
+          <button className="px-3 py-1 rounded bg-slate-800 text-white" onClick={onExport} aria-label="Export">Export…</button>
+          <button className="px-3 py-1 rounded border" onClick={onSave} aria-label="Save JSON">Save</button>
+
+          <input
+            ref={fileJSON}
+            type="file"
+            accept="application/json"
+            className="hidden"
+            onChange={(e) => onLoad(e.target.files?.[0] || null)}
+          />
+          <button className="px-3 py-1 rounded border" onClick={() => fileJSON.current?.click()} aria-label="Load JSON">Load</button>
+        </div>
+      </div>
+    </header>
+  );
+}
+
+// --- Library ---
+function Library({ currentId, onOpen, onNew, onRenameCurrent, onDeletedCurrent, onClose }) {
+  const [comics, setComics] = useState(null);
+
+  const refresh = () => listComics().then(setComics).catch((e) => { console.error(e); setComics([]); });
+  useEffect(() => { refresh(); }, []);
+
+  const rename = async (rec, title) => {
+    title = title.trim();
+    if (!title || title === rec.title) return;
+    try {
+      if (rec.id === currentId) onRenameCurrent(title); // autosave writes it through
+      else await saveComic({ ...rec, title, doc: { ...rec.doc, title }, updatedAt: Date.now() });
+    } catch (e) {
+      console.error(e);
+      alert(`Could not rename “${rec.title}”: ${e.message}`);
+    }
+    refresh();
+  };
+
+  const duplicate = async (rec) => {
+    const now = Date.now();
+    const title = `${rec.title} (copy)`;
+    try {
+      await saveComic({ ...rec, id: uid(), title, doc: { ...rec.doc, title }, createdAt: now, updatedAt: now });
+    } catch (e) {
+      console.error(e);
+      alert(`Could not duplicate “${rec.title}”: ${e.message}`);
+    }
+    refresh();
+  };
+
+  const remove = async (rec) => {
+    if (!confirm(`Delete “${rec.title}”? This cannot be undone.`)) return;
+    try {
+      await deleteComic(rec.id);
+      if (rec.id === currentId) onDeletedCurrent();
+    } catch (e) {
+      console.error(e);
+      alert(`Could not delete “${rec.title}”: ${e.message}`);
+    }
+    refresh();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/40 flex items-start justify-center p-6" onPointerDown={onClose}>
+      <div className="bg-white rounded shadow w-full max-w-xl p-4" role="dialog" aria-label="My comics" onPointerDown={(e) => e.stopPropagation()}>
+        <div className="flex items-center gap-2 mb-3">
+          <h2 className="font-semibold grow">My comics</h2>
+          <button className="px-3 py-1 rounded bg-slate-800 text-white" onClick={onNew}>New comic</button>
+          <button className="px-3 py-1 rounded border" onClick={onClose}>Close</button>
+        </div>
+        {!comics && <p className="text-sm text-slate-600">Loading…</p>}
+        {comics && !comics.length && <p className="text-sm text-slate-600">No saved comics yet. Your work is saved here automatically.</p>}
+        <ul className="divide-y">
+          {comics?.map(rec => (
+            <li key={rec.id} className="py-2 flex items-center gap-2">
+              <div className="grow min-w-0">
+                <input
+                  className="w-full border rounded px-2 py-1 text-sm"
+                  defaultValue={rec.title}
+                  aria-label="Title"
+                  onBlur={(e) => rename(rec, e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                />
+                <div className="text-xs text-slate-500 mt-1">
+                  {rec.doc?.pages?.length || 0} page(s) · edited {new Date(rec.updatedAt).toLocaleString()}
+                  {rec.id === currentId ? ' · open' : ''}
+                </div>
+              </div>
+              <button className="text-sm underline" onClick={() => onOpen(rec)}>Open</button>
+              <button className="text-sm underline" onClick={() => duplicate(rec)}>Duplicate</button>
+              <button className="text-sm underline text-red-600" onClick={() => remove(rec)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// --- Export ---
+function ExportDialog({ pageCount, languages, onExport, onPreview, onClose }) {
+  const [opts, setOpts] = useState({
+    format: 'png', dpi: 300, bleedMm: 0, trimMarks: false, allLanguages: false,
+    stack: 'pages', width: 800, spacing: 40, maxHeight: 1280, // webtoon
+    clipWidth: 720, hold: 2, fade: true, // animation
+  });
+  const [preparing, setPreparing] = useState(false);
+  const set = (patch) => setOpts(o => ({ ...o, ...patch }));
+  const num = (key) => (e) => set({ [key]: Number(e.target.value || 0) });
+  const submit = () => onExport({
+    ...opts,
+    dpi: clamp(opts.dpi || 300, 72, 1200),
+    bleedMm: clamp(opts.bleedMm, 0, 10),
+    width: clamp(opts.width || 800, 200, 4000),
+    spacing: clamp(opts.spacing, 0, 2000),
+    maxHeight: clamp(opts.maxHeight || 1280, 200, 20000),
+    clipWidth: clamp(opts.clipWidth || 720, 120, 2000),
+    hold: clamp(opts.hold, 0, MAX_HOLD),
+  });
+  const preview = async () => {
+    setPreparing(true);
+    await onPreview({ ...opts, hold: clamp(opts.hold, 0, MAX_HOLD) });
+    setPreparing(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/40 flex items-start justify-center p-6" onPointerDown={onClose}>
+      <div className="bg-white rounded shadow w-full max-w-sm p-4 space-y-3" role="dialog" aria-label="Export" onPointerDown={(e) => e.stopPropagation()}>
+        <h2 className="font-semibold">Export {pageCount} page(s)</h2>
+        <div>
+          <label className="text-sm block mb-1">Format</label>
+          <select className="w-full border rounded p-1" value={opts.format} onChange={(e) => set({ format: e.target.value })}>
+            <option value="png">PNG (one file per page)</option>
+            <option value="pdf">PDF (multi-page)</option>
+            <option value="webtoon">Webtoon strip (zip of slices)</option>
+            <option value="reader">HTML reader (accessible, works offline)</option>
+            <option value="gif">Animated GIF (panel by panel)</option>
+            <option value="webm" disabled={!canRecordWebM()}>WebM video (panel by panel)</option>
+          </select>
+        </div>
+
+        {opts.format === 'webtoon' ? (
+          <div className="grid grid-cols-2 gap-2">
+            <div className="col-span-2">
+              <label className="text-sm block mb-1">Stack</label>
+              <select className="w-full border rounded p-1" value={opts.stack} onChange={(e) => set({ stack: e.target.value })}>
+                <option value="pages">Whole pages</option>
+                <option value="panels">Each panel</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-sm block mb-1">Width (px)</label>
+              <input type="number" className="w-full border rounded p-1" min="200" max="4000" value={opts.width} onChange={num('width')} />
+            </div>
+            <div>
+              <label className="text-sm block mb-1">Spacing (px)</label>
+              <input type="number" className="w-full border rounded p-1" min="0" max="2000" value={opts.spacing} onChange={num('spacing')} />
+            </div>
+            <div className="col-span-2">
+              <label className="text-sm block mb-1">Max slice height (px)</label>
+              <input type="number" className="w-full border rounded p-1" min="200" max="20000" value={opts.maxHeight} onChange={num('maxHeight')} />
+            </div>
+            <p className="col-span-2 text-xs text-slate-500">Slices are cut between balloons, never through one.</p>
+          </div>
+        ) : ANIM_FORMATS[opts.format] ? (
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-sm block mb-1">Width (px)</label>
+              <input type="number" className="w-full border rounded p-1" min="120" max="2000" value={opts.clipWidth} onChange={num('clipWidth')} />
+            </div>
+            <div>
+              <label className="text-sm block mb-1">Seconds per panel</label>
+              <input type="number" className="w-full border rounded p-1" min="0" max={MAX_HOLD} step="0.5" value={opts.hold} onChange={num('hold')} />
+            </div>
+            <label className="col-span-2 text-sm flex items-center gap-2">
+              <input type="checkbox" checked={opts.fade} onChange={(e) => set({ fade: e.target.checked })} />
+              Fade in each balloon
+            </label>
+            <p className="col-span-2 text-xs text-slate-500">
+              Panels appear in order, then their balloons in reading order. A panel's own hold time (Inspector) overrides the default.
+              {opts.format === 'webm' && ' The video records in real time; keep this tab in front.'}
+            </p>
+            <button className="col-span-2 px-3 py-1 rounded border disabled:opacity-50" disabled={preparing} onClick={preview}>
+              {preparing ? 'Preparing preview…' : 'Preview'}
+            </button>
+          </div>
+        ) : opts.format === 'reader' ? (
+          <p className="text-xs text-slate-500">
+            One HTML file. Lettering stays real text in each panel's reading order, with the panels' and images' alt text
+            for screen readers. Readers step with the arrow keys or by swiping, and guided view zooms into each panel.
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="text-sm block mb-1">DPI</label>
+                <input type="number" className="w-full border rounded p-1" min="72" max="1200" value={opts.dpi} onChange={num('dpi')} />
+              </div>
+              <div>
+                <label className="text-sm block mb-1">Bleed (mm)</label>
+                <input type="number" className="w-full border rounded p-1" min="0" max="10" step="0.5" value={opts.bleedMm} onChange={num('bleedMm')} />
+              </div>
+            </div>
+            <label className="text-sm flex items-center gap-2">
+              <input type="checkbox" checked={opts.trimMarks} onChange={(e) => set({ trimMarks: e.target.checked })} />
+              Trim marks
+            </label>
+            <p className="text-xs text-slate-500">{PX_PER_INCH} DPI exports at the page's logical size; 300 is typical for print.</p>
+          </>
+        )}
+
+        {languages.length > 1 && (
+          <label className="text-sm flex items-center gap-2">
+            <input type="checkbox" checked={opts.allLanguages} onChange={(e) => set({ allLanguages: e.target.checked })} />
+            Every language ({languages.join(', ')})
+          </label>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className="px-3 py-1 rounded border" onClick={onClose}>Cancel</button>
+          <button className="px-3 py-1 rounded bg-slate-800 text-white" onClick={submit}>Export</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Animation preview ---
+// Plays a plan from buildAnimation with the timing the export will use
+function AnimationPreview({ plan, onClose }) {
+  const canvasRef = useRef(null);
+  const [t, setT] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const tRef = useRef(0);
+  tRef.current = t;
+
+  useEffect(() => { drawAnimationFrame(canvasRef.current.getContext('2d'), plan, t); }, [plan, t]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let at = tRef.current >= plan.duration ? 0 : tRef.current; // Play at the end starts over
+    let raf, last = performance.now();
+    const tick = (now) => {
+      at = Math.min(plan.duration, at + (now - last) / 1000);
+      last = now;
+      setT(at);
+      if (at < plan.duration) raf = requestAnimationFrame(tick);
+      else setPlaying(false);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, plan]);
+
+  // One row per panel: when it starts and how long it is on screen
+  const rows = [];
+  plan.steps.forEach(s => {
+    const last = rows[rows.length - 1];
+    if (last && last.page === s.page && last.panel === s.panel) {
+      last.duration += s.duration;
+      if (s.kind === 'balloon') last.balloons += 1;
+    } else {
+      rows.push({ page: s.page, panel: s.panel, start: s.start, duration: s.duration, balloons: 0 });
+    }
+  });
+  const current = stepAt(plan.steps, t);
+
+  return (
+    <div className="fixed inset-0 z-[1100] bg-black/60 flex items-start justify-center p-6" onPointerDown={onClose}>
+      <div className="bg-white rounded shadow w-full max-w-2xl p-4 space-y-3" role="dialog" aria-label="Animation preview" onPointerDown={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold">Preview</h2>
+          <span className="text-sm text-slate-600">Page {current.page + 1} · Panel {current.panel + 1}</span>
+        </div>
+        <canvas ref={canvasRef} width={plan.width} height={plan.height} className="w-full border rounded bg-slate-100" />
+        <div className="flex items-center gap-2">
+          <button className="px-3 py-1 rounded border w-20" onClick={() => setPlaying(p => !p)}>{playing ? 'Pause' : 'Play'}</button>
+          <input
+            type="range" className="grow"
+            min="0" max={plan.duration} step="0.05"
+            value={t}
+            aria-label="Time"
+            onChange={(e) => { setPlaying(false); setT(Number(e.target.value)); }}
+          />
+          <span className="text-sm tabular-nums w-24 text-right">{t.toFixed(1)} / {plan.duration.toFixed(1)} s</span>
+        </div>
+        <ol className="max-h-40 overflow-auto text-sm space-y-0.5">
+          {rows.map(r => (
+            <li key={`${r.page}:${r.panel}`}>
+              <button
+                className={`w-full text-left px-1 rounded ${r.page === current.page && r.panel === current.panel ? 'bg-sky-100' : 'hover:bg-slate-100'}`}
+                onClick={() => { setPlaying(false); setT(r.start); }}
+              >
+                Page {r.page + 1} · Panel {r.panel + 1}: {r.duration.toFixed(1)} s{r.balloons ? `, ${r.balloons} balloon(s)` : ''} <span className="text-slate-500">from {r.start.toFixed(1)} s</span>
+              </button>
+            </li>
+          ))}
+        </ol>
+        <div className="flex justify-end">
+          <button className="px-3 py-1 rounded bg-slate-800 text-white" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Load report ---
+const REPORT_SECTIONS = [
+  ['upgraded', 'Upgraded', 'text-slate-700'],
+  ['fixed', 'Fixed', 'text-amber-800'],
+  ['dropped', 'Left out', 'text-red-700'],
+];
+
+function LoadReport({ report, onClose }) {
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/40 flex items-start justify-center p-6" onPointerDown={onClose}>
+      <div className="bg-white rounded shadow w-full max-w-lg p-4 space-y-3" role="dialog" aria-label="Load report" onPointerDown={(e) => e.stopPropagation()}>
+        <h2 className="font-semibold">Opened “{report.name}” with changes</h2>
+        <div className="max-h-[60vh] overflow-auto space-y-3">
+          {REPORT_SECTIONS.filter(([key]) => report[key].length).map(([key, label, color]) => (
+            <section key={key}>
+              <h3 className={`text-sm font-medium ${color}`}>{label} ({report[key].length})</h3>
+              <ul className="text-sm list-disc pl-5 space-y-0.5">
+                {report[key].map((entry, i) => (
+                  <li key={i}>{typeof entry === 'string' ? entry : <><span className="text-slate-500">{entry.where}:</span> {entry.message}</>}</li>
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500">Saving the comic keeps these changes.</p>
+        <div className="flex justify-end">
+          <button className="px-3 py-1 rounded bg-slate-800 text-white" onClick={onClose}>OK</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Translate ---
+function TranslateDialog({ doc, onBaseLang, onAdd, onRemove, onExport, onImport, onClose }) {
+  const [code, setCode] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [target, setTarget] = useState(null); // language an import without one is for
+  const fileRef = useRef(null);
+  const total = allElements(doc).filter(el => el.type === 'text' && el.text.trim()).length;
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/40 flex items-start justify-center p-6" onPointerDown={onClose}>
+      <div className="bg-white rounded shadow w-full max-w-md p-4 space-y-3" role="dialog" aria-label="Translate" onPointerDown={(e) => e.stopPropagation()}>
+        <h2 className="font-semibold">Languages</h2>
+        <div className="flex items-center gap-2 text-sm">
+          <label htmlFor="base-lang">Written in</label>
+          <input
+            id="base-lang"
+            className="w-24 border rounded p-1"
+            defaultValue={baseLang(doc)}
+            onBlur={(e) => onBaseLang(e.target.value.trim())}
+          />
+          <span className="text-xs text-slate-500">{total} text(s)</span>
+        </div>
+
+        <div>
+          <label className="text-sm block mb-1">File format for translators</label>
+          <select className="w-full border rounded p-1 text-sm" value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.entries(STRING_FORMATS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+          </select>
+        </div>
+
+        <ul className="divide-y border rounded">
+          {(doc.locales || []).map(l => {
+            const missing = untranslated(doc, l).length;
+            return (
+              <li key={l} className="flex items-center gap-2 p-2 text-sm">
+                <span className="font-medium w-14">{l}</span>
+                <span className={`grow text-xs ${missing ? 'text-amber-700' : 'text-slate-500'}`}>
+                  {missing ? `${missing} of ${total} missing` : 'Complete'}
+                </span>
+                <button className="underline" onClick={() => onExport(l, format)}>Export</button>
+                <button className="underline" onClick={() => { setTarget(l); fileRef.current?.click(); }}>Import</button>
+                <button className="underline text-red-600" onClick={() => onRemove(l)}>Delete</button>
+              </li>
+            );
+          })}
+          {!doc.locales?.length && <li className="p-2 text-sm text-slate-500">No translations yet.</li>}
+        </ul>
+
+        <form
+          className="flex gap-2"
+          onSubmit={(e) => { e.preventDefault(); if (code.trim()) { onAdd(code); setCode(''); } }}
+        >
+          <input
+            className="grow border rounded p-1 text-sm"
+            placeholder="Add a language, e.g. fr or pt-BR"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          <button className="px-3 py-1 rounded border text-sm">Add</button>
+        </form>
+
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,.po,.xlf,.xliff,text/csv,application/xliff+xml"
+          className="hidden"
+          onChange={(e) => { onImport(e.target.files?.[0] || null, target); e.target.value = ''; }}
+        />
+        <div className="flex justify-between gap-2">
+          <button className="px-3 py-1 rounded border text-sm" onClick={() => { setTarget(null); fileRef.current?.click(); }}>Import a translation file…</button>
+          <button className="px-3 py-1 rounded border" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Script ---
+function ScriptDialog({ onImport, onExport, onClose }) {
+  const [text, setText] = useState('');
+  const [mode, setMode] = useState('append');
+  const fileRef = useRef(null);
+  const readFile = async (file) => { if (file) setText(await file.text()); };
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/40 flex items-start justify-center p-6" onPointerDown={onClose}>
+      <div className="bg-white rounded shadow w-full max-w-lg p-4 space-y-3" role="dialog" aria-label="Script" onPointerDown={(e) => e.stopPropagation()}>
+        <h2 className="font-semibold">Script</h2>
+        <p className="text-xs text-slate-500">
+          Start pages with <code>PAGE 1</code> and panels with <code>PANEL 1</code> (or Fountain's <code>#</code> / <code>##</code>).
+          Lines like <code>BOB: Hello</code> become balloons; <code>CAPTION:</code> and <code>SFX:</code> become captions and sound effects,
+          and <code>(THOUGHT)</code> after a name makes a thought cloud. Anything else is kept as the panel's notes.
+        </p>
+        <textarea
+          className="w-full border rounded p-2 text-sm font-mono"
+          rows={12}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={'PAGE 1\n\nPANEL 1\nA rooftop at night.\nCAPTION: Meanwhile...\nBOB: Did you hear that?'}
+          aria-label="Script text"
+        />
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".txt,.fountain,text/plain"
+            className="hidden"
+            onChange={(e) => { readFile(e.target.files?.[0]); e.target.value = ''; }}
+          />
+          <button className="px-3 py-1 rounded border" onClick={() => fileRef.current?.click()}>Open file…</button>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={mode === 'append'} onChange={() => setMode('append')} />
+            Add as new pages
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+            Replace all pages
+          </label>
+        </div>
+        <div className="flex justify-between gap-2">
+          <button className="px-3 py-1 rounded border" onClick={onExport}>Export current script</button>
+          <div className="flex gap-2">
+            <button className="px-3 py-1 rounded border" onClick={onClose}>Cancel</button>
+            <button className="px-3 py-1 rounded bg-slate-800 text-white disabled:opacity-40" disabled={!text.trim()} onClick={() => onImport(text, mode)}>Import</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Page strip ---
+function PageStrip({ pages, size, pageBg, presets, current, onSelect, onAdd, onDuplicate, onDelete, onMove }) {
+  const [dragFrom, setDragFrom] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+
+  return (
+    <nav className="bg-white rounded shadow p-2 h-min space-y-2" aria-label="Pages">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold text-sm">Pages</h2>
+        <button className="text-xs px-2 py-1 rounded bg-slate-800 text-white" onClick={onAdd}>+ Page</button>
+      </div>
+      <ol className="space-y-2">
+        {pages.map((pg, i) => (
+          <li
+            key={pg.id}
+            draggable
+            onDragStart={(e) => { setDragFrom(i); e.dataTransfer.effectAllowed = 'move'; }}
+            onDragOver={(e) => { e.preventDefault(); setDragOver(i); }}
+            onDragLeave={() => setDragOver(o => (o === i ? null : o))}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragFrom != null) onMove(dragFrom, i);
+              setDragFrom(null); setDragOver(null);
+            }}
+            onDragEnd={() => { setDragFrom(null); setDragOver(null); }}
+            className={`rounded border p-2 cursor-grab ${i === current ? 'border-sky-500 bg-sky-50' : 'border-slate-200'} ${dragOver === i && dragFrom !== i ? 'ring-2 ring-sky-300' : ''}`}
+          >
+            <button className="w-full text-left" onClick={() => onSelect(i)} aria-current={i === current ? 'page' : undefined}>
+              <div className="relative w-full rounded mb-1" style={{ aspectRatio: `${size.w} / ${size.h}`, background: pageBg }} aria-hidden>
+                {pg.panels.map(p => (
+                  <div
+                    key={p.id}
+                    className="absolute bg-white border border-slate-300"
+                    style={{ left: `${p.rect.x * 100}%`, top: `${p.rect.y * 100}%`, width: `${p.rect.w * 100}%`, height: `${p.rect.h * 100}%` }}
+                  />
+                ))}
+              </div>
+              <div className="text-sm font-medium">Page {i + 1}</div>
+              <div className="text-xs text-slate-500">{layoutName(presets, pg.layout)}</div>
+            </button>
+            <div className="flex gap-2 mt-1">
+              <button className="text-xs underline" onClick={() => onDuplicate(i)}>Duplicate</button>
+              <button
+                className="text-xs underline text-red-600 disabled:text-slate-300"
+                disabled={pages.length <= 1}
+                onClick={() => onDelete(i)}
+              >Delete</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+// --- Board / Panels ---
+// Position a panel from its page-fraction rect, leaving half a gutter on each side
+const panelStyle = (panel, gutter) => {
+  const { x, y, w, h } = panel.rect;
+  const { l, t, r, b } = bleedInsets(panel, gutter);
+  return {
+    position: 'absolute',
+    left: `calc(${x * 100}% + ${gutter / 2 - l}px)`,
+    top: `calc(${y * 100}% + ${gutter / 2 - t}px)`,
+    width: `calc(${w * 100}% - ${gutter - l - r}px)`,
+    height: `calc(${h * 100}% - ${gutter - t - b}px)`,
+  };
+};
+
+// Corners of a slanted panel in its own px, clockwise from top-left; null if none is slanted
+const panelCorners = (panel, { w, h }) => {
+  const s = { ...NO_SLANT, ...panel.slant };
+  if (!s.top && !s.right && !s.bottom && !s.left) return null;
+  const pos = (v) => Math.max(0, v), neg = (v) => Math.max(0, -v);
+  return [
+    [neg(s.left), neg(s.top)],
+    [w - neg(s.right), pos(s.top)],
+    [w - pos(s.right), h - pos(s.bottom)],
+    [pos(s.left), h - neg(s.bottom)],
+  ];
+};
+
+// Clip for the panel's content; slanted panels lose their rounded corners
+const frameStyle = (panel, box) => {
+  const corners = panelCorners(panel, box);
+  return corners
+    ? { clipPath: `polygon(${corners.map(([x, y]) => `${x}px ${y}px`).join(', ')})` }
+    : { borderRadius: panel.radius ?? 4 };
+};
+
+// The border is an SVG stroke centred on the frame edge at twice the width;
+// the clip hides the outer half, so slanted and rounded edges get the same line
+function PanelBorder({ panel, box }) {
+  const { width, color, style } = { ...DEFAULT_BORDER, ...panel.border };
+  if (!width) return null;
+  const corners = panelCorners(panel, box);
+  const paint = {
+    fill: 'none',
+    stroke: color,
+    strokeWidth: width * 2,
+    strokeDasharray: style === 'dashed' ? `${width * 6} ${width * 4}` : (style === 'dotted' ? `0 ${width * 4}` : undefined),
+    strokeLinecap: style === 'dotted' ? 'round' : 'butt',
+  };
+  const r = panel.radius ?? 4;
+  return (
+    <svg className="absolute inset-0 pointer-events-none z-[140]" width={box.w} height={box.h} aria-hidden>
+      {corners
+        ? <polygon points={corners.map(p => p.join(',')).join(' ')} {...paint} />
+        : <rect x="0" y="0" width={box.w} height={box.h} rx={r} ry={r} {...paint} />}
+    </svg>
+  );
+}
+
+// Largest scale at which the whole page fits the space left in the viewport,
+// and that space's width in screen px
+function useFitScale(hostRef, size) {
+  const [fit, setFit] = useState({ scale: 1, w: size.w });
+  useEffect(() => {
+    const measure = () => {
+      const host = hostRef.current;
+      if (!host) return;
+      const top = host.getBoundingClientRect().top + window.scrollY;
+      const availW = host.clientWidth;
+      const availH = Math.max(240, window.innerHeight - top - 24);
+      const scale = clamp(Math.min(availW / size.w, availH / size.h), 0.1, 2) || 1;
+      setFit(f => (f.scale === scale && f.w === availW ? f : { scale, w: availW }));
+    };
+    measure();
+    const ro = new ResizeObserver(measure);
+    ro.observe(hostRef.current);
+    window.addEventListener('resize', measure);
+    return () => { ro.disconnect(); window.removeEventListener('resize', measure); };
+  }, [size.w, size.h]);
+  return fit;
+}
+
+// Zoom is on top of the fit scale; 1 shows the whole page
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+const FIT_VIEW = { zoom: 1, x: 0, y: 0 };
+
+const Board = React.forwardRef(function Board(
+  { page, size, gutter, pageBg, exporting, layoutMode, brush, setPage, selection, setSelection, mutateElements, mutateElement, addText, addImage, appendElements, removeElements, placeLibraryItem, onOverflow, lang },
+  ref
+) {
+  const hostRef = useRef(null);
+  const innerRef = useRef(null);
+  const fit = useFitScale(hostRef, size);
+  // { zoom, x, y }: x/y pan the page in screen px from where it sits at fit
+  const [view, setView] = useState(FIT_VIEW);
+  const scale = fit.scale * view.zoom;
+  const left = (fit.w - size.w * fit.scale) / 2; // the page's left edge at fit, centred
+  const viewRef = useRef(view);
+  viewRef.current = view;
+
+  useEffect(() => setView(FIT_VIEW), [size.w, size.h]);
+
+  // The view at `zoom` that keeps the page point under `from` (in `v`) under
+  // `to`. Points are in px from the viewport's top-left.
+  const viewAround = (v, zoom, from, to = from) => {
+    const z = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+    const s0 = fit.scale * v.zoom, s1 = fit.scale * z;
+    const px = (from.x - left - v.x) / s0, py = (from.y - v.y) / s0;
+    return { zoom: z, x: to.x - px * s1 - left, y: to.y - py * s1 };
+  };
+  const inHost = (e) => {
+    const r = hostRef.current.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  };
+  const centre = () => ({ x: hostRef.current.clientWidth / 2, y: hostRef.current.clientHeight / 2 });
+  const zoomBy = (factor, at = centre()) => setView(v => viewAround(v, v.zoom * factor, at));
+
+  // Ctrl/Cmd+wheel (and pinch) zooms at the pointer, a plain wheel pans; added by hand, React's is passive
+  useEffect(() => {
+    const host = hostRef.current;
+    const wheel = (e) => {
+      const lines = e.deltaMode === 1 ? 16 : 1;
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        zoomBy(Math.exp(-e.deltaY * lines * 0.002), inHost(e));
+      } else if (viewRef.current.zoom > 1) {
+        e.preventDefault();
+        setView(v => ({ ...v, x: v.x - e.deltaX * lines, y: v.y - e.deltaY * lines }));
+      }
+    };
+    host.addEventListener('wheel', wheel, { passive: false });
+    return () => host.removeEventListener('wheel', wheel);
+  }, [fit, size.w, size.h]);
+
+  // Holding Space over the board turns a drag into a pan. Only while nothing
+  // has focus, so Space still presses a focused button, checkbox or summary.
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const pointerOver = useRef(false);
+  useEffect(() => {
+    const down = (e) => {
+      const focused = document.activeElement;
+      if (e.code !== 'Space' || !pointerOver.current || (focused && focused !== document.body)) return;
+      e.preventDefault();
+      setSpaceHeld(true);
+    };
+    const up = (e) => { if (e.code === 'Space') setSpaceHeld(false); };
+    const blur = () => setSpaceHeld(false);
+    window.addEventListener('keydown', down);
+    window.addEventListener('keyup', up);
+    window.addEventListener('blur', blur);
+    return () => {
+      window.removeEventListener('keydown', down);
+      window.removeEventListener('keyup', up);
+      window.removeEventListener('blur', blur);
+    };
+  }, []);
+
+  // Space-drag or middle-drag pans; two fingers pinch to zoom and pan. Both
+  // take the press before the panels see it.
+  const touches = useRef(new Map()); // pointerId -> { x, y } in viewport px
+  const gesture = useRef(null); // { kind: 'pan', start, view } | { kind: 'pinch', dist, mid, view }
+  const [pinching, setPinching] = useState(false);
+  const pinchOf = () => {
+    const [a, b] = [...touches.current.values()];
+    return { dist: Math.hypot(b.x - a.x, b.y - a.y) || 1, mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+  };
+
+  const startGesture = (e) => {
+    if (e.pointerType === 'touch') touches.current.set(e.pointerId, inHost(e));
+    if (touches.current.size === 2) {
+      gesture.current = { kind: 'pinch', ...pinchOf(), view };
+      setPinching(true);
+    } else if (spaceHeld || e.button === 1) {
+      gesture.current = { kind: 'pan', start: inHost(e), view };
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  useEffect(() => {
+    const move = (e) => {
+      if (touches.current.has(e.pointerId)) touches.current.set(e.pointerId, inHost(e));
+      const g = gesture.current;
+      if (!g) return;
+      e.preventDefault();
+      if (g.kind === 'pinch') {
+        if (touches.current.size < 2) return;
+        const { dist, mid } = pinchOf();
+        setView(viewAround(g.view, g.view.zoom * (dist / g.dist), g.mid, mid));
+      } else {
+        const p = inHost(e);
+        setView({ ...g.view, x: g.view.x + p.x - g.start.x, y: g.view.y + p.y - g.start.y });
+      }
+    };
+    const up = (e) => {
+      touches.current.delete(e.pointerId);
+      if (gesture.current?.kind === 'pinch' && touches.current.size >= 2) return;
+      if (gesture.current?.kind === 'pinch') setPinching(false);
+      gesture.current = null;
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+    window.addEventListener('pointercancel', up);
+    return () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+      window.removeEventListener('pointercancel', up);
+    };
+  }, [fit, size.w, size.h]);
+
+  // mode: 'replace' | 'add' | 'toggle' (shift-click)
+  const select = (i, ids, mode = 'replace') => setSelection(s => {
+    const cur = s.panelIdx === i ? s.elIds : [];
+    if (mode === 'add') return selectionOf(i, [...new Set([...cur, ...ids])]);
+    if (mode === 'toggle') {
+      const rest = cur.filter(id => !ids.includes(id));
+      return selectionOf(i, ids.every(id => cur.includes(id)) ? rest : [...rest, ...ids]);
+    }
+    return selectionOf(i, ids);
+  });
+  const gutterDrag = useRef(null); // { gutter, startX, startY, startPage, size, group }
+  const gutters = layoutMode ? findGutters(page.panels) : [];
+  const handle = Math.max(gutter, 8); // gutter handles stay grabbable on tight pages
+
+  useEffect(() => {
+    const move = (e) => {
+      if (!gutterDrag.current) return;
+      e.preventDefault();
+      const { gutter, startX, startY, startPage, size, group } = gutterDrag.current;
+      const d = gutter.axis === 'x' ? (e.clientX - startX) / size.w : (e.clientY - startY) / size.h;
+      setPage(() => moveGutter(startPage, gutter, d), { merge: group, gesture: true });
+    };
+    const up = () => (gutterDrag.current = null);
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+    return () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+    };
+  }, [setPage]);
+
+  const startGutterDrag = (e, gutter) => {
+    e.stopPropagation();
+    const r = innerRef.current.getBoundingClientRect();
+    gutterDrag.current = {
+      gutter,
+      startX: e.clientX,
+      startY: e.clientY,
+      startPage: page,
+      size: { w: r.width, h: r.height },
+      group: `gutter:${uid()}`
+    };
+  };
+
+  return (
+    <main
+      ref={hostRef}
+      className={`relative min-h-[70vh] min-w-0 overflow-hidden touch-none ${spaceHeld ? 'is-panning' : ''}`}
+      style={{ height: size.h * fit.scale }}
+      onPointerDownCapture={startGesture}
+      onPointerEnter={() => (pointerOver.current = true)}
+      onPointerLeave={() => (pointerOver.current = false)}
+    >
+      {/* the page keeps its logical size and is scaled and panned; this box takes the scaled space */}
+      <div className="absolute" style={{ left: left + view.x, top: view.y, width: size.w * scale, height: size.h * scale }}>
+        <div
+          ref={ref}
+          id="board"
+          className={exporting ? 'is-exporting' : 'rounded'}
+          style={{ width: size.w, height: size.h, padding: gutter / 2, background: pageBg, transform: `scale(${scale})`, transformOrigin: 'top left', '--grip': 1 / scale }}
+        >
+          <div ref={innerRef} className="relative w-full h-full">
+            {page.panels.map((panel, i) => (
+              <Panel
+                key={panel.id}
+                idx={i}
+                panel={panel}
+                box={panelBox(panel, size, gutter)}
+                gutter={gutter}
+                layoutMode={layoutMode}
+                brush={brush}
+                scale={scale}
+                selected={selection.panelIdx === i}
+                selectedIds={selection.panelIdx === i ? selection.elIds : []}
+                onSelect={(ids, mode) => select(i, ids, mode)}
+                mutateElements={mutateElements}
+                mutateElement={mutateElement}
+                addText={addText}
+                addImage={addImage}
+                appendElements={appendElements}
+                removeElements={removeElements}
+                placeLibraryItem={placeLibraryItem}
+                onOverflow={onOverflow}
+                lang={lang}
+                pinching={pinching}
+              />
+            ))}
+            {gutters.map(g => (
+              <div
+                data-ui
+                key={`${g.axis}:${g.pos}:${g.from}`}
+                className={`absolute z-[300] rounded bg-sky-400/60 hover:bg-sky-500 ${g.axis === 'x' ? 'cursor-col-resize' : 'cursor-row-resize'}`}
+                style={g.axis === 'x'
+                  ? { left: `calc(${g.pos * 100}% - ${handle / 2}px)`, width: handle, top: `calc(${g.from * 100}% + ${gutter / 2}px)`, height: `calc(${(g.to - g.from) * 100}% - ${gutter}px)` }
+                  : { top: `calc(${g.pos * 100}% - ${handle / 2}px)`, height: handle, left: `calc(${g.from * 100}% + ${gutter / 2}px)`, width: `calc(${(g.to - g.from) * 100}% - ${gutter}px)` }}
+                onPointerDown={(e) => startGutterDrag(e, g)}
+                title="Drag to resize panels"
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+      <div className="absolute right-2 bottom-2 z-10 flex items-center gap-1 rounded bg-white/90 shadow px-1 py-0.5 text-xs">
+        <button className="px-2 py-1 rounded hover:bg-slate-100" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={view.zoom <= MIN_ZOOM} title="Zoom out (Ctrl+wheel)" aria-label="Zoom out">−</button>
+        <span className="w-12 text-center tabular-nums" aria-live="polite">{Math.round(scale * 100)}%</span>
+        <button className="px-2 py-1 rounded hover:bg-slate-100" onClick={() => zoomBy(ZOOM_STEP)} disabled={view.zoom >= MAX_ZOOM} title="Zoom in (Ctrl+wheel)" aria-label="Zoom in">+</button>
+        <button className="px-2 py-1 rounded hover:bg-slate-100" onClick={() => setView(FIT_VIEW)} title="Fit the page; hold Space and drag to pan">Fit</button>
+      </div>
+    </main>
+  );
+});
+
+function Panel({ idx, panel, box, gutter, layoutMode, brush, scale, selected, selectedIds, onSelect, mutateElements, mutateElement, addText, addImage, appendElements, removeElements, placeLibraryItem, onOverflow, lang, pinching }) {
+  const hostRef = useRef(null);
+  const fileRef = useRef(null);
+  const [guides, setGuides] = useState([]); // snap guide lines while dragging
+  const [marquee, setMarquee] = useState(null); // { x, y, w, h } in panel px
+  const [sketch, setSketch] = useState(null); // [[x, y, pressure]] in panel px while drawing
+
+  // Drag, resize and marquee. Transient state in refs; commit on move.
+  // { kind: 'move'|'resize'|'resize-group'|'rotate'|'tail'|'crop'|'marquee', ids, dir, startX, startY, origin, startRects, group, additive }
+  const dragRef = useRef(null);
+
+  // Pointer position in panel px (the board is drawn scaled to fit)
+  const local = (e) => {
+    const r = hostRef.current.getBoundingClientRect();
+    return { x: (e.clientX - r.left) / scale, y: (e.clientY - r.top) / scale };
+  };
+
+  useEffect(() => {
+    const move = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      e.preventDefault();
+      const { kind, ids, startX, startY, startRects, group } = drag;
+      // Screen px to page px
+      let dx = (e.clientX - startX) / scale;
+      let dy = (e.clientY - startY) / scale;
+
+      if (kind === 'marquee') {
+        const p = local(e);
+        setMarquee({ x: Math.min(drag.origin.x, p.x), y: Math.min(drag.origin.y, p.y), w: Math.abs(p.x - drag.origin.x), h: Math.abs(p.y - drag.origin.y) });
+        return;
+      }
+
+      // Snap to the panel and to unselected elements; Alt turns snapping off
+      const others = panel.elements.filter(el => !ids.includes(el.id) && !el.hidden);
+      const { xs, ys } = snapTargets(hostRef.current.clientWidth, hostRef.current.clientHeight, others);
+      const box = bounds(ids.map(id => startRects[id]));
+      const threshold = SNAP_PX / scale;
+
+      // One undo step per gesture
+      if (kind === 'move') {
+        const snapped = e.altKey ? { dx: 0, dy: 0, guides: [] } : snapBox({ ...box, x: box.x + dx, y: box.y + dy }, xs, ys, threshold);
+        dx += snapped.dx; dy += snapped.dy;
+        setGuides(snapped.guides);
+        mutateElements(idx, Object.fromEntries(ids.map(id => [id, { x: startRects[id].x + dx, y: startRects[id].y + dy }])), { merge: group, gesture: true });
+      } else if (kind === 'crop') {
+        // Drag the photo under its frame: the focus point moves against the pointer
+        const r = startRects[ids[0]];
+        const crop = { ...DEFAULT_CROP, ...r.crop };
+        const d = rotateVec(dx, dy, -(r.rotate || 0));
+        mutateElement(idx, ids[0], { crop: {
+          ...crop,
+          x: clamp(crop.x - (d.x / (r.w * crop.zoom)) * 100, 0, 100),
+          y: clamp(crop.y - (d.y / (r.h * crop.zoom)) * 100, 0, 100),
+        } }, { merge: group, gesture: true });
+      } else if (kind === 'tail') {
+        // The tip sits in the balloon's own (rotated) px
+        const r = startRects[ids[0]];
+        const d = rotateVec(dx, dy, -(r.rotate || 0));
+        mutateElement(idx, ids[0], { tail: { x: r.tail.x + d.x, y: r.tail.y + d.y } }, { merge: group, gesture: true });
+      } else if (kind === 'rotate') {
+        const r = startRects[ids[0]];
+        const c = { x: r.x + r.w / 2, y: r.y + r.h / 2 };
+        const deg = (r.rotate || 0) + angleTo(c, local(e)) - angleTo(c, drag.origin);
+        mutateElement(idx, ids[0], { rotate: Math.round(normalizeAngle(e.shiftKey ? Math.round(deg / ROTATE_STEP) * ROTATE_STEP : deg)) }, { merge: group, gesture: true });
+      } else { // resize: one element, or the whole selection scaled about the opposite handle
+        const keepAspect = e.shiftKey;
+        const start = kind === 'resize' ? startRects[ids[0]] : box;
+        const min = kind === 'resize' ? 20 : 10;
+        // Snap the dragged corner or edge while the box is square to the page
+        let next = resizeBox(start, drag.dir, dx, dy, { keepAspect, min });
+        const [hx, hy] = HANDLE_DIRS[drag.dir];
+        if (!e.altKey && !keepAspect && !start.rotate) {
+          const at = { x: hx > 0 ? next.x + next.w : next.x, y: hy > 0 ? next.y + next.h : next.y, w: 0, h: 0 };
+          const snapped = snapBox(at, hx ? xs : [], hy ? ys : [], threshold);
+          next = resizeBox(start, drag.dir, dx + snapped.dx, dy + snapped.dy, { min });
+          setGuides(snapped.guides);
+        } else {
+          setGuides([]);
+        }
+        const sx = next.w / box.w, sy = next.h / box.h;
+        mutateElements(idx, Object.fromEntries(ids.map(id => {
+          const r = startRects[id];
+          const patch = kind === 'resize'
+            ? next
+            : { x: next.x + (r.x - box.x) * sx, y: next.y + (r.y - box.y) * sy, w: Math.max(min, r.w * sx), h: Math.max(min, r.h * sy) };
+          // A growing balloon keeps sizing itself; dragging its width sets where it wraps
+          if (r.fit === 'grow') patch.maxWidth = patch.w;
+          return [id, patch];
+        })), { merge: group, gesture: true });
+      }
+    };
+    const up = (e) => {
+      const drag = dragRef.current;
+      dragRef.current = null;
+      setGuides([]);
+      if (drag?.kind !== 'marquee') return;
+      setMarquee(null);
+      const p = local(e);
+      const m = { x: Math.min(drag.origin.x, p.x), y: Math.min(drag.origin.y, p.y), w: Math.abs(p.x - drag.origin.x), h: Math.abs(p.y - drag.origin.y) };
+      // A click on empty space clears the selection
+      if (m.w < 3 && m.h < 3) {
+        if (!drag.additive) onSelect([]);
+        return;
+      }
+      const hit = panel.elements
+        .filter(el => !el.hidden && !el.locked)
+        .filter(el => el.x < m.x + m.w && el.x + el.w > m.x && el.y < m.y + m.h && el.y + el.h > m.y)
+        .map(el => el.id);
+      onSelect(withGroups(panel.elements, hit), drag.additive ? 'add' : 'replace');
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+    return () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+    };
+  }, [idx, scale, panel, mutateElements, mutateElement]);
+
+  // A second finger turns the touch into a pinch on the board: drop what the first one began
+  useEffect(() => {
+    if (!pinching) return;
+    dragRef.current = null;
+    setGuides([]);
+    setMarquee(null);
+    setSketch(null);
+  }, [pinching]);
+
+  const rectsOf = (ids) => Object.fromEntries(panel.elements
+    .filter(el => ids.includes(el.id))
+    .map(el => [el.id, { x: el.x, y: el.y, w: el.w, h: el.h, rotate: el.rotate, tail: el.tail, crop: el.crop, fit: el.fit }]));
+
+  const startDrag = (e, el, kind, dir = 'se') => {
+    e.stopPropagation();
+    let ids = el ? [el.id] : selectedIds;
+    // Ctrl/Cmd-drag on a photo pans it inside its frame
+    if (kind === 'move' && el.type === 'image' && (e.ctrlKey || e.metaKey)) {
+      kind = 'crop';
+      onSelect([el.id]);
+    }
+    if (kind === 'move') {
+      const clicked = withGroups(panel.elements, [el.id]);
+      if (e.shiftKey) {
+        onSelect(clicked, 'toggle');
+        return;
+      }
+      // Dragging part of the selection moves all of it
+      ids = selectedIds.includes(el.id) ? selectedIds : clicked;
+      if (!selectedIds.includes(el.id)) onSelect(clicked);
+    }
+    // Locked elements stay put even when selected along with others
+    ids = ids.filter(id => !panel.elements.find(x => x.id === id)?.locked);
+    if (!ids.length) return;
+    dragRef.current = {
+      kind,
+      ids,
+      dir,
+      startX: e.clientX,
+      startY: e.clientY,
+      origin: local(e),
+      startRects: rectsOf(ids),
+      group: `drag:${uid()}`
+    };
+  };
+
+  const startMarquee = (e) => {
+    dragRef.current = { kind: 'marquee', ids: [], origin: local(e), additive: e.shiftKey };
+  };
+
+  // Draw mode: one stroke per pointer press
+  const startSketch = (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const p = local(e);
+    setSketch([[p.x, p.y, pressureOf(e)]]);
+  };
+
+  const moveSketch = (e) => {
+    if (!sketch) return;
+    const p = local(e);
+    const pt = [p.x, p.y, pressureOf(e)];
+    setSketch(s => {
+      if (!s) return s;
+      if (SHAPE_TOOLS.includes(brush.tool)) return [s[0], pt];
+      const last = s[s.length - 1];
+      return Math.hypot(pt[0] - last[0], pt[1] - last[1]) < 1.5 ? s : [...s, pt];
+    });
+  };
+
+  const endSketch = () => {
+    const pts = sketch;
+    setSketch(null);
+    if (!pts) return;
+    if (brush.tool === 'eraser') {
+      const ids = erasedStrokes(panel.elements, pts, brush.width / 2);
+      if (ids.length) removeElements(idx, ids);
+      return;
+    }
+    if (SHAPE_TOOLS.includes(brush.tool) && pts.length < 2) return;
+    appendElements(idx, [strokeElement(pts, brush)]);
+  };
+
+  const single = selectedIds.length === 1;
+  const selectedEls = panel.elements.filter(el => selectedIds.includes(el.id));
+  const selBox = selectedEls.length > 1 ? bounds(selectedEls) : null;
+
+  return (
+    <section style={panelStyle(panel, gutter)}>
+      {layoutMode && (
+        <div
+          data-ui
+          className={`absolute inset-0 z-[200] rounded flex items-center justify-center cursor-pointer ${selected ? 'bg-sky-500/20 ring-2 ring-sky-500' : 'hover:bg-slate-500/10'}`}
+          onPointerDown={() => onSelect([])}
+        >
+          <span className="text-2xl font-bold text-slate-500">{idx + 1}</span>
+        </div>
+      )}
+      <div data-ui className={`absolute right-2 top-2 z-[100] flex gap-1 ${layoutMode || brush ? 'hidden' : ''}`}>
+        <button
+          className="text-xs px-2 py-1 rounded bg-slate-900 text-white"
+          onClick={() => addText(idx, 'speech')}
+        >+ Speech</button>
+        <button className="text-xs px-2 py-1 rounded bg-yellow-200" onClick={() => addText(idx, 'caption')}>+ Caption</button>
+        <button className="text-xs px-2 py-1 rounded bg-pink-200" onClick={() => addText(idx, 'sfx')}>+ SFX</button>
+        <input
+          ref={fileRef}
+          type="file"
+          className="hidden"
+          accept="image/*"
+          onChange={(e) => addImage(idx, e.target.files?.[0] || null)}
         />
-        <Inspector
-          page={page}
-          selection={selection}
-          mutateElement={mutateElement}
-          removeElement={removeElement}
-          setPanel={setPanel}
+        <button className="text-xs px-2 py-1 rounded border" onClick={() => fileRef.current?.click()}>+ Image</button>
+      </div>
+
+      <div
+        ref={hostRef}
+        className="relative w-full h-full overflow-hidden"
+        style={{ background: panel.bg, ...frameStyle(panel, box) }}
+        onPointerDown={startMarquee}
+        onDragOver={(e) => {
+          const types = Array.from(e.dataTransfer?.types || []);
+          if (types.includes('Files') || types.includes(LIBRARY_DRAG)) e.preventDefault();
+        }}
+        onDrop={(e) => {
+          const item = e.dataTransfer?.getData(LIBRARY_DRAG);
+          if (item) {
+            e.preventDefault();
+            placeLibraryItem(idx, item, local(e));
+            return;
+          }
+          const files = Array.from(e.dataTransfer?.files || []).filter(f => f.type.startsWith('image/'));
+          if (!files.length) return;
+          e.preventDefault();
+          const at = local(e);
+          files.forEach((f, i) => addImage(idx, f, { x: at.x + i * PASTE_OFFSET, y: at.y + i * PASTE_OFFSET }));
+        }}
+      >
+        {panel.elements.filter(el => !el.hidden).map((el) => (
+          <ElementView
+            key={el.id}
+            el={el}
+            selected={selectedIds.includes(el.id)}
+            handles={single}
+            onPointerDown={(e) => startDrag(e, el, 'move')}
+            onResizeStart={(e, dir) => startDrag(e, el, 'resize', dir)}
+            onRotateStart={(e) => startDrag(e, el, 'rotate')}
+            onTailStart={(e) => startDrag(e, el, 'tail')}
+            onAutoSize={(size) => mutateElement(idx, el.id, size, { amend: true })}
+            onOverflow={onOverflow}
+            lang={lang}
+          />
+        ))}
+        <PanelBorder panel={panel} box={box} />
+        {selBox && (
+          <div
+            data-ui
+            className="absolute border border-dashed border-sky-500 pointer-events-none z-[150]"
+            style={{ left: selBox.x, top: selBox.y, width: selBox.w, height: selBox.h }}
+          >
+            <ResizeHandles onResizeStart={(e, dir) => startDrag(e, null, 'resize-group', dir)} />
+          </div>
+        )}
+        {guides.map((g, i) => (
+          <div
+            key={i}
+            data-ui
+            className="absolute bg-pink-500 pointer-events-none z-[160]"
+            style={g.axis === 'x' ? { left: g.pos, top: 0, bottom: 0, width: 1 } : { top: g.pos, left: 0, right: 0, height: 1 }}
+          />
+        ))}
+        {marquee && (
+          <div
+            data-ui
+            className="absolute border border-sky-500 bg-sky-500/10 pointer-events-none z-[160]"
+            style={{ left: marquee.x, top: marquee.y, width: marquee.w, height: marquee.h }}
+          />
+        )}
+        {brush && (
+          <div
+            data-ui
+            className="absolute inset-0 z-[170] cursor-crosshair touch-none"
+            onPointerDown={startSketch}
+            onPointerMove={moveSketch}
+            onPointerUp={endSketch}
+            onPointerCancel={endSketch}
+          >
+            {sketch && (
+              <svg className="absolute inset-0 w-full h-full pointer-events-none" style={{ overflow: 'visible' }}>
+                {brush.tool === 'eraser'
+                  ? <path d={strokePath({ tool: 'pen', points: sketch })} fill="none" stroke="#94a3b8" strokeOpacity="0.5" strokeWidth={brush.width} strokeLinecap="round" strokeLinejoin="round" />
+                  : <path d={strokePath({ ...brush, points: sketch })} {...strokePaint(brush)} />}
+              </svg>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function Balloon({ el }) {
+  if ((el.shape || 'rect') === 'none') return null;
+  const { d, bubbles } = balloonGeometry(el);
+  const sw = el.strokeWidth ?? 0;
+  const paint = {
+    fill: el.bg || '#ffffffcc',
+    stroke: sw ? (el.stroke || '#111827') : 'none',
+    strokeWidth: sw,
+    strokeLinejoin: 'round',
+  };
+  return (
+    <svg className="absolute inset-0 pointer-events-none" width={el.w} height={el.h} style={{ overflow: 'visible' }} aria-hidden>
+      <path d={d} {...paint} />
+      {bubbles.map((b, i) => <circle key={i} cx={b.x} cy={b.y} r={b.r} {...paint} />)}
+    </svg>
+  );
+}
+
+function Photo({ el }) {
+  const src = useFilteredSrc(el);
+  return (
+    <div className="w-full h-full overflow-hidden rounded">
+      <img src={src} alt="" draggable={false} className="w-full h-full" style={imageStyle(el)} />
+    </div>
+  );
+}
+
+// Eight resize grips round a box, plus a rotation grip above it when
+// `onRotateStart` is given. They turn with the element they sit in.
+function ResizeHandles({ onResizeStart, onRotateStart }) {
+  return (
+    <>
+      {Object.keys(HANDLE_DIRS).map(dir => (
+        <div
+          key={dir}
+          data-ui
+          data-dir={dir}
+          className="handle pointer-events-auto"
+          onPointerDown={(e) => onResizeStart(e, dir)}
         />
+      ))}
+      {onRotateStart && (
+        <div data-ui className="rotate-handle pointer-events-auto" onPointerDown={onRotateStart} title="Drag to rotate (Shift snaps to 15°)" />
+      )}
+    </>
+  );
+}
+
+function ElementView({ el, selected, handles = selected, onPointerDown, onResizeStart, onRotateStart, onTailStart, onAutoSize, onOverflow, lang }) {
+  const common = {
+    position: 'absolute',
+    left: el.x,
+    top: el.y,
+    width: el.w,
+    height: el.h,
+    transform: `rotate(${el.rotate || 0}deg)`,
+    zIndex: el.z || 0,
+    pointerEvents: el.locked ? 'none' : undefined, // clicks reach whatever is underneath
+  };
+  const grips = selected && handles && !el.locked;
+
+  if (el.type === 'stroke') {
+    const d = strokePath(el);
+    return (
+      <div
+        data-el={el.id}
+        style={common}
+        className={`pointer-events-none ${selected ? 'ring-2 ring-sky-500' : ''}`}
+        onPointerDown={onPointerDown}
+      >
+        <svg
+          className="absolute inset-0"
+          width={el.w} height={el.h}
+          viewBox={`0 0 ${el.vw || el.w} ${el.vh || el.h}`}
+          preserveAspectRatio="none"
+          style={{ overflow: 'visible' }}
+        >
+          <path d={d} {...strokePaint(el)} className={el.locked ? '' : 'pointer-events-auto cursor-move'} />
+          {/* a wider invisible copy so thin lines are easy to grab */}
+          {!el.locked && <path d={d} fill="none" stroke="transparent" strokeWidth={el.width + 10} style={{ pointerEvents: 'stroke' }} className="cursor-move" />}
+        </svg>
+        {grips && <ResizeHandles onResizeStart={onResizeStart} onRotateStart={onRotateStart} />}
+      </div>
+    );
+  }
+
+  if (el.type === 'image') {
+    return (
+      <div
+        data-el={el.id}
+        style={common}
+        className={`group ${selected ? 'ring-2 ring-sky-500' : 'ring-1 ring-slate-300'} rounded cursor-move`}
+        onPointerDown={onPointerDown}
+      >
+        {el.src
+          ? <Photo el={el} />
+          : <div className="w-full h-full rounded bg-slate-100 text-slate-500 text-xs flex items-center justify-center">Missing image</div>}
+        {grips && <ResizeHandles onResizeStart={onResizeStart} onRotateStart={onRotateStart} />}
+      </div>
+    );
+  }
+
+  // text
+  return (
+    <div
+      data-el={el.id}
+      style={common}
+      className={`group ${selected ? 'ring-2 ring-sky-500' : 'ring-1 ring-slate-300'} rounded cursor-move p-2`}
+      onPointerDown={onPointerDown}
+    >
+      <Balloon el={el} />
+      {/* Every edition shares the base text's layout, so a translation never resizes the box */}
+      <FittedText el={lang ? { ...el, text: textIn(el, lang) } : el} onAutoSize={lang ? null : onAutoSize} onOverflow={onOverflow} />
+      {isUntranslated(el, lang) && (
+        <div
+          data-ui
+          className="absolute -top-2 -right-2 px-1 h-5 rounded-full bg-amber-500 text-white text-[10px] font-bold flex items-center justify-center"
+          title={`No ${lang} translation yet; showing the original`}
+        >{lang}?</div>
+      )}
+      {grips && <ResizeHandles onResizeStart={onResizeStart} onRotateStart={onRotateStart} />}
+      {grips && el.tail && (
+        <div className="tail-handle" data-ui style={{ left: el.tail.x, top: el.tail.y }} onPointerDown={onTailStart} title="Drag to point the tail" />
+      )}
+    </div>
+  );
+}
+
+// Lettering that measures its layout to shrink, grow (via onAutoSize) or flag overflow
+function FittedText({ el, onAutoSize, onOverflow }) {
+  const boxRef = useRef(null); // padded area the text must fit in
+  const textRef = useRef(null);
+  const [fitSize, setFitSize] = useState(null);
+  const [over, setOver] = useState(false);
+  const [fontsTick, setFontsTick] = useState(0);
+  const fit = el.fit || 'none';
+  const fontSize = fit === 'shrink' && fitSize ? fitSize : (el.fontSize || 18);
+
+  // Web fonts change metrics when they arrive
+  useEffect(() => {
+    const bump = () => setFontsTick(t => t + 1);
+    document.fonts?.addEventListener?.('loadingdone', bump);
+    return () => document.fonts?.removeEventListener?.('loadingdone', bump);
+  }, []);
+
+  useLayoutEffect(() => {
+    const box = boxRef.current, text = textRef.current;
+    if (!box || !text) return;
+    const cs = getComputedStyle(box);
+    const availH = box.clientHeight - (parseFloat(cs.paddingTop) || 0) - (parseFloat(cs.paddingBottom) || 0);
+    const fits = () => text.scrollHeight <= availH + 1 && text.scrollWidth <= text.clientWidth + 1;
+
+    if (fit === 'shrink') {
+      // Binary search on the live node, then hand the result to React
+      let size = el.fontSize || 18;
+      box.style.fontSize = `${size}px`;
+      if (!fits()) {
+        let lo = MIN_FIT_FONT, hi = size;
+        while (hi - lo > 0.25) {
+          const mid = (lo + hi) / 2;
+          box.style.fontSize = `${mid}px`;
+          if (fits()) lo = mid; else hi = mid;
+        }
+        size = Math.floor(lo * 4) / 4;
+        box.style.fontSize = `${size}px`;
+      }
+      setFitSize(size);
+      setOver(!fits());
+    } else if (fit === 'grow' && onAutoSize) {
+      const maxW = contentWidthFor(el, el.maxWidth || 320);
+      const width = text.style.width;
+      text.style.width = 'max-content';
+      const cw = Math.max(20, Math.min(text.scrollWidth, maxW));
+      text.style.width = `${cw}px`;
+      const ch = text.scrollHeight;
+      const tooWide = text.scrollWidth > cw + 1; // a single word longer than the max width
+      text.style.width = width;
+      const want = boxForContent(el, cw, Math.max(ch, fontSize));
+      if (Math.abs(want.w - el.w) > 1 || Math.abs(want.h - el.h) > 1) onAutoSize(want);
+      setOver(tooWide);
+    } else {
+      setOver(!fits());
+    }
+  }, [el.text, el.font, el.fontSize, el.weight, el.letterSpacing, el.lineHeight, el.uppercase, el.shape, el.w, el.h, el.maxWidth, fit, fontsTick]);
+
+  useEffect(() => { onOverflow?.(el.id, over); }, [over]);
+  useEffect(() => () => onOverflow?.(el.id, false), []);
+
+  return (
+    <>
+      <div
+        ref={boxRef}
+        data-letters={el.id}
+        className="relative w-full h-full flex items-center justify-start"
+        style={{
+          color: el.color || '#111827',
+          fontFamily: fontStack(el.font),
+          fontSize: fontSize + 'px',
+          fontWeight: el.weight || 600,
+          textAlign: el.align || 'left',
+          letterSpacing: el.letterSpacing ? `${el.letterSpacing}px` : undefined,
+          lineHeight: el.lineHeight || 1.5,
+          textTransform: el.uppercase ? 'uppercase' : undefined,
+          textShadow: el.textShadow ? `${el.textShadow.x}px ${el.textShadow.y}px ${el.textShadow.blur}px ${el.textShadow.color}` : undefined,
+          padding: balloonPadding(el),
+          WebkitTextStroke: el.textStroke ? `${el.textStroke}px ${el.textStrokeColor || '#ffffff'}` : undefined,
+          paintOrder: el.textStroke ? 'stroke fill' : undefined,
+        }}
+      >
+        <div ref={textRef} className="w-full whitespace-pre-wrap">{richText(el.text)}</div>
+      </div>
+      {over && (
+        <>
+          <div data-ui className="absolute inset-0 rounded border-2 border-dashed border-red-500 pointer-events-none" />
+          <div
+            data-ui
+            className="absolute -top-2 -left-2 w-5 h-5 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center"
+            title="Text does not fit"
+          >!</div>
+        </>
+      )}
+    </>
+  );
+}
+
+// --- Layout editor ---
+function LayoutTools({ page, panelIdx, isCustomPreset, onSplit, onMerge, onSavePreset, onDeletePreset, gutter, pageBg, onPageStyle, onDone }) {
+  const panel = page.panels[panelIdx];
+  const btn = 'px-2 py-1 rounded border text-sm disabled:opacity-40';
+  return (
+    <aside className="bg-white rounded shadow p-3 h-min space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold">Layout</h2>
+        <button className="text-sm underline" onClick={onDone}>Done</button>
+      </div>
+      <p className="text-sm text-slate-600">Click a panel to select it. Drag the blue gutters to resize panels.</p>
+
+      {panel && (
+        <>
+          <div>
+            <div className="text-sm font-medium mb-1">Panel {panelIdx + 1}</div>
+            <div className="flex flex-wrap gap-2">
+              <button className={btn} onClick={() => onSplit('v')}>Split side by side</button>
+              <button className={btn} onClick={() => onSplit('h')}>Split stacked</button>
+            </div>
+          </div>
+          <div>
+            <div className="text-sm block mb-1">Merge with neighbour</div>
+            <div className="flex flex-wrap gap-2">
+              {[['left', '← Left'], ['up', '↑ Above'], ['down', '↓ Below'], ['right', 'Right →']].map(([dir, label]) => (
+                <button key={dir} className={btn} disabled={neighbourOf(page.panels, panelIdx, dir) < 0} onClick={() => onMerge(dir)}>{label}</button>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="grid grid-cols-2 gap-2 border-t pt-3">
+        <div className="text-sm font-medium col-span-2">Every page</div>
+        <div>
+          <label className="text-sm block mb-1">Gutter ({gutter}px)</label>
+          <input
+            type="range" className="w-full"
+            min="0" max="80"
+            value={gutter}
+            onChange={(e) => onPageStyle({ gutter: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Page colour</label>
+          <input type="color" value={pageBg} onChange={(e) => onPageStyle({ pageBg: e.target.value })} />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 border-t pt-3">
+        <button className={btn} onClick={onSavePreset}>Save as preset…</button>
+        {isCustomPreset && <button className={`${btn} text-red-600`} onClick={onDeletePreset}>Delete preset</button>}
+      </div>
+    </aside>
+  );
+}
+
+// --- Draw tools ---
+function DrawTools({ brush, onBrush, onDone }) {
+  const set = (patch) => onBrush(b => ({ ...b, ...patch }));
+  return (
+    <aside className="bg-white rounded shadow p-3 h-min space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold">Draw</h2>
+        <button className="text-sm underline" onClick={onDone}>Done</button>
+      </div>
+      <p className="text-sm text-slate-600">Draw on any panel. Each stroke becomes an element you can select, move and restack after leaving draw mode.</p>
+
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(DRAW_TOOLS).map(([k, v]) => (
+          <button
+            key={k}
+            className={`px-2 py-1 rounded border text-sm ${brush.tool === k ? 'bg-sky-100 border-sky-500' : ''}`}
+            aria-pressed={brush.tool === k}
+            onClick={() => set({ tool: k })}
+          >{v}</button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div className="col-span-2">
+          <label className="text-sm block mb-1">Width ({brush.width}px)</label>
+          <input
+            type="range" className="w-full"
+            min="1" max="60"
+            value={brush.width}
+            onChange={(e) => set({ width: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Colour</label>
+          <input type="color" value={brush.color} disabled={brush.tool === 'eraser'} onChange={(e) => set({ color: e.target.value })} />
+        </div>
+        <label className="text-sm flex items-center gap-2">
+          <input type="checkbox" checked={brush.pressure} onChange={(e) => set({ pressure: e.target.checked })} />
+          Pressure (brush)
+        </label>
+      </div>
+      {brush.tool === 'eraser' && <p className="text-xs text-slate-500">The eraser removes whole strokes it touches.</p>}
+    </aside>
+  );
+}
+
+// --- Arrange ---
+const ALIGN_ACTIONS = [
+  ['left', 'Left'], ['center', 'Centre'], ['right', 'Right'],
+  ['top', 'Top'], ['middle', 'Middle'], ['bottom', 'Bottom'],
+];
+
+function ArrangeTools({ count, grouped, onArrange, onGroup, onUngroup, onDelete }) {
+  const btn = 'px-2 py-1 rounded border text-xs disabled:opacity-40';
+  return (
+    <div className="mb-4 space-y-2">
+      {count > 1 && (
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium">{count} elements selected</span>
+          <button className="text-red-600 text-sm underline disabled:opacity-40" disabled={!onDelete} onClick={onDelete}>Delete</button>
+        </div>
+      )}
+      <div>
+        <div className="text-sm mb-1">{count > 1 ? 'Align' : 'Align to panel'}</div>
+        <div className="grid grid-cols-3 gap-1">
+          {ALIGN_ACTIONS.map(([how, label]) => (
+            <button key={how} className={btn} onClick={() => onArrange(how)}>{label}</button>
+          ))}
+        </div>
+      </div>
+      {count > 1 && (
+        <>
+          <div>
+            <div className="text-sm mb-1">Distribute</div>
+            <div className="grid grid-cols-2 gap-1">
+              <button className={btn} disabled={count < 3} onClick={() => onArrange('distribute-x')}>Horizontally</button>
+              <button className={btn} disabled={count < 3} onClick={() => onArrange('distribute-y')}>Vertically</button>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-1">
+            <button className={btn} onClick={onGroup} title="Ctrl+G">Group</button>
+            <button className={btn} disabled={!grouped} onClick={onUngroup} title="Ctrl+Shift+G">Ungroup</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// --- Image tools ---
+function ImageTools({ el, edit }) {
+  const crop = { ...DEFAULT_CROP, ...el.crop };
+  const filter = filterOf(el);
+  const spec = IMAGE_FILTERS[filter.type];
+  const setCrop = (patch) => edit({ crop: { ...crop, ...patch } });
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <div className="col-span-2">
+          <label className="text-sm block mb-1">Zoom ({crop.zoom.toFixed(2)}×)</label>
+          <input
+            type="range" className="w-full"
+            min="1" max={MAX_CROP_ZOOM} step="0.05"
+            value={crop.zoom}
+            onChange={(e) => setCrop({ zoom: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Pan X</label>
+          <input
+            type="range" className="w-full"
+            min="0" max="100"
+            value={crop.x}
+            onChange={(e) => setCrop({ x: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Pan Y</label>
+          <input
+            type="range" className="w-full"
+            min="0" max="100"
+            value={crop.y}
+            onChange={(e) => setCrop({ y: Number(e.target.value) })}
+          />
+        </div>
+        <p className="col-span-2 text-xs text-slate-500">Ctrl/⌘-drag the image to pan it inside its frame.</p>
+        <label className="text-sm flex items-center gap-2">
+          <input type="checkbox" checked={!!el.flipX} onChange={(e) => edit({ flipX: e.target.checked })} />
+          Flip horizontal
+        </label>
+        <label className="text-sm flex items-center gap-2">
+          <input type="checkbox" checked={!!el.flipY} onChange={(e) => edit({ flipY: e.target.checked })} />
+          Flip vertical
+        </label>
+        <div className="col-span-2">
+          <label className="text-sm block mb-1">Opacity ({Math.round((el.opacity ?? 1) * 100)}%)</label>
+          <input
+            type="range" className="w-full"
+            min="0" max="100"
+            value={Math.round((el.opacity ?? 1) * 100)}
+            onChange={(e) => edit({ opacity: Number(e.target.value) / 100 })}
+          />
+        </div>
+        <div className={filter.type === 'none' ? 'col-span-2' : ''}>
+          <label className="text-sm block mb-1">Filter</label>
+          <select
+            className="w-full border rounded p-1"
+            value={filter.type}
+            onChange={(e) => edit({ filter: { type: e.target.value, amount: IMAGE_FILTERS[e.target.value].amount } })}
+          >
+            {Object.entries(IMAGE_FILTERS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+          </select>
+        </div>
+        {filter.type !== 'none' && (
+          <div>
+            <label className="text-sm block mb-1">{spec.label}</label>
+            <input
+              type="number" className="w-full border rounded p-1"
+              min={spec.min} max={spec.max}
+              value={filter.amount}
+              onChange={(e) => edit({ filter: { type: filter.type, amount: clamp(Number(e.target.value || spec.min), spec.min, spec.max) } })}
+            />
+          </div>
+        )}
       </div>
+      <button
+        className="text-sm underline"
+        onClick={() => edit({ crop: { ...DEFAULT_CROP }, flipX: false, flipY: false, opacity: 1, filter: { type: 'none' } })}
+      >Reset image</button>
     </div>
   );
 }
 
-// --- Header ---
-function Header({ page, onLayout, onExport, onSave, onLoad }) {
-  const fileJSON = useRef(null);
+// --- Panel style ---
+function PanelTools({ panel, onChange }) {
+  const border = { ...DEFAULT_BORDER, ...panel.border };
+  const slant = { ...NO_SLANT, ...panel.slant };
+  const setBorder = (patch) => onChange({ border: { ...border, ...patch } });
+
   return (
-    <header className="bg-white border-b">
-      <div className="mx-auto max-w-7xl px-3 py-3 flex flex-wrap items-center gap-2">
-        <a href="dashboard.html" className="text-slate-700 hover:underline font-semibold">Dashboard</a>
-        <div className="grow" />
-        <div className="flex items-center gap-2">
+    <details className="mb-4 border-b pb-3" open>
+      <summary className="text-sm font-medium cursor-pointer mb-2">Panel</summary>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="text-sm block mb-1">Background</label>
+          <input type="color" value={panel.bg || '#ffffff'} onChange={(e) => onChange({ bg: e.target.value })} />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Corner radius</label>
+          <input
+            type="number" className="w-full border rounded p-1"
+            min="0" max="200"
+            value={panel.radius ?? 4}
+            onChange={(e) => onChange({ radius: clamp(Number(e.target.value || 0), 0, 200) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Border width</label>
+          <input
+            type="number" className="w-full border rounded p-1"
+            min="0" max="40"
+            value={border.width}
+            onChange={(e) => setBorder({ width: clamp(Number(e.target.value || 0), 0, 40) })}
+          />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Border colour</label>
+          <input type="color" value={border.color} onChange={(e) => setBorder({ color: e.target.value })} />
+        </div>
+        <div>
+          <label className="text-sm block mb-1">Border style</label>
           <select
-            className="border rounded px-2 py-1"
-            value={page.layout}
-            onChange={(e) => onLayout(e.target.value)}
-            title="Panel layout"
+            className="w-full border rounded p-1"
+            value={border.style}
+            onChange={(e) => setBorder({ style: e.target.value })}
           >
-            {Object.entries(LAYOUTS).map(([k, v]) => (
-              <option key={k} value={k}>{v.name}</option>
-            ))}
+            {Object.entries(BORDER_STYLES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
           </select>
+        </div>
+        <label className="text-sm flex items-center gap-2 self-end pb-1">
+          <input type="checkbox" checked={!!panel.bleed} onChange={(e) => onChange({ bleed: e.target.checked })} />
+          Bleed off page
+        </label>
+        <div className="col-span-2 text-sm mt-1">Slanted edges (px, + or −)</div>
+        {Object.keys(NO_SLANT).map(k => (
+          <div key={k}>
+            <label className="text-xs block mb-1 capitalize">{k}</label>
+            <input
+              type="number" className="w-full border rounded p-1"
+              value={slant[k]}
+              onChange={(e) => onChange({ slant: { ...slant, [k]: clamp(Number(e.target.value || 0), -500, 500) } })}
+            />
+          </div>
+        ))}
+        <button
+          className="col-span-2 text-sm underline text-left"
+          onClick={() => onChange({ border: { ...border, width: 0 }, radius: 0, bleed: false, slant: { ...NO_SLANT } })}
+        >Make borderless</button>
+        <div className="col-span-2">
+          <label className="text-sm block mb-1">Script notes</label>
+          <textarea
+            className="w-full border rounded p-2 text-sm"
+            rows={2}
+            placeholder="What happens in this panel"
+            value={panel.notes || ''}
+            onChange={(e) => onChange({ notes: e.target.value })}
+          />
+        </div>
+        <div className="col-span-2">
+          <label className="text-sm block mb-1">Alt text</label>
+          <textarea
+            className="w-full border rounded p-2 text-sm"
+            rows={2}
+            placeholder="Describe the panel for readers who can't see it"
+            value={panel.alt || ''}
+            onChange={(e) => onChange({ alt: e.target.value })}
+          />
+        </div>
+        <div className="col-span-2">
+          <label className="text-sm block mb-1">Animation hold (seconds)</label>
+          <input
+            type="number" className="w-full border rounded p-1"
+            min="0" max={MAX_HOLD} step="0.5"
+            placeholder="Clip default"
+            value={panel.hold ?? ''}
+            onChange={(e) => onChange({ hold: e.target.value === '' ? null : clamp(Number(e.target.value), 0, MAX_HOLD) })}
+          />
+        </div>
+      </div>
+    </details>
+  );
+}
 
-          <button className="px-3 py-1 rounded bg-slate-800 text-white" onClick={onExport} aria-label="Export PNG">Export PNG</button>
-          <button className="px-3 py-1 rounded border" onClick={onSave} aria-label="Save JSON">Save</button>
+// --- Lettering ---
+// Wraps the textarea's selection in rich-text markup (see richText)
+function FormatBar({ textRef, text, onText }) {
+  const [accent, setAccent] = useState('#dc2626');
+  const wrap = (open, close) => {
+    const ta = textRef.current;
+    if (!ta) return;
+    const { selectionStart: a, selectionEnd: b } = ta;
+    if (a === b) return;
+    onText(text.slice(0, a) + open + text.slice(a, b) + close + text.slice(b));
+    requestAnimationFrame(() => {
+      ta.focus();
+      ta.setSelectionRange(a + open.length, b + open.length);
+    });
+  };
+  const btn = 'px-2 py-0.5 rounded border text-sm';
+  return (
+    <div className="flex items-center gap-1 mb-1" title="Select words in the text, then format them">
+      <button className={`${btn} font-bold`} onMouseDown={(e) => e.preventDefault()} onClick={() => wrap('**', '**')} aria-label="Bold">B</button>
+      <button className={`${btn} italic`} onMouseDown={(e) => e.preventDefault()} onClick={() => wrap('*', '*')} aria-label="Italic">I</button>
+      <button className={btn} style={{ color: accent }} onMouseDown={(e) => e.preventDefault()} onClick={() => wrap(`{${accent}:`, '}')}>Colour</button>
+      <input type="color" value={accent} onChange={(e) => setAccent(e.target.value)} aria-label="Emphasis colour" />
+    </div>
+  );
+}
 
+function LetteringTools({ el, edit, fonts, onAddFonts }) {
+  const fontRef = useRef(null);
+  const shadow = el.textShadow;
+  const setShadow = (patch) => edit({ textShadow: { ...shadow, ...patch } });
+  const known = el.font in BUILTIN_FONTS || fonts.some(f => f.family === el.font);
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <div className="col-span-2">
+        <label className="text-sm block mb-1">Font</label>
+        <div className="flex gap-2">
+          <select
+            className="grow border rounded p-1"
+            value={el.font || ''}
+            onChange={(e) => edit({ font: e.target.value })}
+            style={{ fontFamily: fontStack(el.font) }}
+          >
+            {Object.entries(BUILTIN_FONTS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+            {fonts.map(f => <option key={f.id} value={f.family}>{f.family}</option>)}
+            {!known && <option value={el.font}>{el.font} (missing)</option>}
+          </select>
           <input
-            ref={fileJSON}
+            ref={fontRef}
             type="file"
-            accept="application/json"
             className="hidden"
-            onChange={(e) => onLoad(e.target.files?.[0] || null)}
+            accept=".ttf,.otf,.woff,.woff2"
+            multiple
+            onChange={async (e) => {
+              const family = await onAddFonts(Array.from(e.target.files || []));
+              e.target.value = '';
+              if (family) edit({ font: family });
+            }}
           />
-          <button className="px-3 py-1 rounded border" onClick={() => fileJSON.current?.click()} aria-label="Load JSON">Load</button>
+          <button className="text-sm underline shrink-0" onClick={() => fontRef.current?.click()}>Upload…</button>
         </div>
       </div>
-    </header>
+      <div>
+        <label className="text-sm block mb-1">Letter spacing</label>
+        <input
+          type="number" className="w-full border rounded p-1"
+          min="-10" max="50" step="0.5"
+          value={el.letterSpacing ?? 0}
+          onChange={(e) => edit({ letterSpacing: clamp(Number(e.target.value || 0), -10, 50) })}
+        />
+      </div>
+      <div>
+        <label className="text-sm block mb-1">Line height</label>
+        <input
+          type="number" className="w-full border rounded p-1"
+          min="0.6" max="4" step="0.05"
+          value={el.lineHeight ?? 1.5}
+          onChange={(e) => edit({ lineHeight: clamp(Number(e.target.value || 1.5), 0.6, 4) })}
+        />
+      </div>
+      <label className="text-sm flex items-center gap-2">
+        <input type="checkbox" checked={!!el.uppercase} onChange={(e) => edit({ uppercase: e.target.checked })} />
+        Uppercase
+      </label>
+      <label className="text-sm flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={!!shadow}
+          onChange={(e) => edit({ textShadow: e.target.checked ? { x: 3, y: 3, blur: 0, color: '#000000' } : null })}
+        />
+        Drop shadow
+      </label>
+      {shadow && (
+        <>
+          <div>
+            <label className="text-sm block mb-1">Shadow X / Y</label>
+            <div className="flex gap-1">
+              <input type="number" className="w-full border rounded p-1" value={shadow.x} onChange={(e) => setShadow({ x: Number(e.target.value || 0) })} />
+              <input type="number" className="w-full border rounded p-1" value={shadow.y} onChange={(e) => setShadow({ y: Number(e.target.value || 0) })} />
+            </div>
+          </div>
+          <div>
+            <label className="text-sm block mb-1">Blur / colour</label>
+            <div className="flex gap-1 items-center">
+              <input type="number" className="w-full border rounded p-1" min="0" max="50" value={shadow.blur} onChange={(e) => setShadow({ blur: clamp(Number(e.target.value || 0), 0, 50) })} />
+              <input type="color" value={shadow.color} onChange={(e) => setShadow({ color: e.target.value })} />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
   );
 }
 
-// --- Board / Panels ---
-const Board = React.forwardRef(function Board(
-  { page, selection, setSelection, setPanel, mutateElement, addText, addImage },
-  ref
-) {
-  const layout = LAYOUTS[page.layout];
-  const gridClasses = [
-    'grid gap-3 bg-slate-200 p-3 rounded',
-    layout.grid || 'grid-cols-1',
-    layout.vertical ? 'grid-rows-2' : '',
-    page.layout === '4' ? 'grid-cols-1 md:grid-cols-2' : ''
-  ].join(' ');
-
+// --- Text styles ---
+function StylePicker({ el, styles, onApply, onSave, onRename, onDelete }) {
+  const style = styles.find(st => st.id === el.textStyle) || null;
+  const drifted = driftsFromStyle(el, style);
   return (
-    <main className="min-h-[70vh]">
-      <div ref={ref} id="board" className={gridClasses}>
-        {page.panels.map((panel, i) => (
-          <Panel
-            key={panel.id}
-            idx={i}
-            panel={panel}
-            selectedElId={selection.panelIdx === i ? selection.elId : null}
-            onSelect={(elId) => setSelection({ panelIdx: i, elId })}
-            setPanel={setPanel}
-            mutateElement={mutateElement}
-            addText={addText}
-            addImage={addImage}
-          />
-        ))}
+    <div className="rounded border p-2 space-y-2">
+      <div>
+        <label className="text-sm block mb-1">Text style{drifted && <span className="text-amber-700"> (edited)</span>}</label>
+        <select
+          className="w-full border rounded p-1"
+          value={style?.id || ''}
+          onChange={(e) => onApply(e.target.value || null)}
+        >
+          <option value="">No style</option>
+          {styles.map(st => <option key={st.id} value={st.id}>{st.name}</option>)}
+        </select>
       </div>
-    </main>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-sm">
+        <button className="underline" onClick={() => onSave(null)}>New style from this</button>
+        {style && (
+          <>
+            {drifted && <button className="underline" onClick={() => onSave(style.id)} title="Every text using this style takes on this look">Update style</button>}
+            {drifted && <button className="underline" onClick={() => onApply(style.id)}>Revert to style</button>}
+            <button className="underline" onClick={() => onRename(style.id)}>Rename</button>
+            <button className="underline text-red-600" onClick={() => onDelete(style.id)}>Delete</button>
+          </>
+        )}
+      </div>
+    </div>
   );
-});
-
-function Panel({ idx, panel, selectedElId, onSelect, setPanel, mutateElement, addText, addImage }) {
-  const hostRef = useRef(null);
-  const fileRef = useRef(null);
-
-  // Drag & simple resize (corner handle). Transient state in refs; commit on move.
-  const dragRef = useRef(null); // { id, kind: 'move'|'resize', startX, startY, startRect }
-
-  useEffect(() => {
-    const move = (e) => {
-      if (!dragRef.current) return;
-      e.preventDefault();
-      const { id, kind, startX, startY, startRect } = dragRef.current;
-      const dx = e.clientX - startX;
-      const dy = e.clientY - startY;
-      if (kind === 'move') {
-        mutateElement(idx, id, { x: startRect.x + dx, y: startRect.y + dy });
-      } else { // resize
-        mutateElement(idx, id, { w: Math.max(20, startRect.w + dx), h: Math.max(20, startRect.h + dy) });
-      }
-    };
-    const up = () => (dragRef.current = null);
-    window.addEventListener('pointermove', move);
-    window.addEventListener('pointerup', up);
-    return () => {
-      window.removeEventListener('pointermove', move);
-      window.removeEventListener('pointerup', up);
-    };
-  }, [idx, mutateElement]);
+}
 
-  const startDrag = (e, el, kind) => {
-    e.stopPropagation();
-    onSelect(el.id);
-    dragRef.current = {
-      id: el.id,
-      kind,
-      startX: e.clientX,
-      startY: e.clientY,
-      startRect: { x: el.x, y: el.y, w: el.w, h: el.h }
-    };
-  };
+// --- Asset library ---
+// Drag payload for library items, so panels can tell them from files
+const LIBRARY_DRAG = 'application/x-comicks-asset';
 
+function AssetShelf({ items, onAdd, onPlace, onRename, onRemove }) {
+  const fileRef = useRef(null);
   return (
-    <section className="bg-white rounded shadow relative">
-      <div className="absolute right-2 top-2 z-[100] flex gap-1">
-        <button
-          className="text-xs px-2 py-1 rounded bg-slate-900 text-white"
-          onClick={() => addText(idx, 'speech')}
-        >+ Speech</button>
-        <button className="text-xs px-2 py-1 rounded bg-yellow-200" onClick={() => addText(idx, 'caption')}>+ Caption</button>
-        <button className="text-xs px-2 py-1 rounded bg-pink-200" onClick={() => addText(idx, 'sfx')}>+ SFX</button>
+    <section className="bg-white rounded shadow p-3 h-min mt-3">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold">Assets</h2>
         <input
           ref={fileRef}
           type="file"
           className="hidden"
           accept="image/*"
-          onChange={(e) => addImage(idx, e.target.files?.[0] || null)}
+          multiple
+          onChange={(e) => { onAdd(Array.from(e.target.files || [])); e.target.value = ''; }}
         />
-        <button className="text-xs px-2 py-1 rounded border" onClick={() => fileRef.current?.click()}>+ Image</button>
+        <button className="text-sm underline" onClick={() => fileRef.current?.click()}>+ Add images</button>
       </div>
-
-      <div
-        ref={hostRef}
-        className="relative min-h-[360px] aspect-[4/3] overflow-hidden rounded"
-        style={{ background: panel.bg }}
-        onPointerDown={() => onSelect(null)}
-      >
-        {panel.elements.map((el) => (
-          <ElementView
-            key={el.id}
-            el={el}
-            selected={selectedElId === el.id}
-            onPointerDown={(e) => startDrag(e, el, 'move')}
-            onResizeStart={(e) => startDrag(e, el, 'resize')}
-          />
+      {!items.length && <p className="text-sm text-slate-600">Characters and props saved here travel with this comic. Drag them into any panel.</p>}
+      <ul className="grid grid-cols-3 gap-2">
+        {items.map(it => (
+          <li key={it.id} className="group relative">
+            <button
+              className="w-full aspect-square rounded border bg-slate-50 overflow-hidden cursor-grab"
+              draggable
+              onDragStart={(e) => { e.dataTransfer.setData(LIBRARY_DRAG, it.id); e.dataTransfer.effectAllowed = 'copy'; }}
+              onClick={() => onPlace(it.id)}
+              title={`${it.name} — click to add to the selected panel, or drag into a panel`}
+            >
+              {assetURL(it.asset)
+                ? <img src={assetURL(it.asset)} alt="" className="w-full h-full object-contain" draggable={false} />
+                : <span className="text-xs text-slate-500">Missing</span>}
+            </button>
+            <div className="text-xs truncate" title={it.name}>{it.name}</div>
+            <div className="absolute top-0 right-0 hidden group-hover:flex gap-1 text-xs">
+              <button className="bg-white/90 rounded px-1" onClick={() => onRename(it.id)} aria-label={`Rename ${it.name}`}>✎</button>
+              <button className="bg-white/90 rounded px-1 text-red-600" onClick={() => onRemove(it.id)} aria-label={`Remove ${it.name}`}>×</button>
+            </div>
+          </li>
         ))}
-      </div>
+      </ul>
     </section>
   );
 }
 
-function ElementView({ el, selected, onPointerDown, onResizeStart }) {
-  const common = {
-    position: 'absolute',
-    left: el.x,
-    top: el.y,
-    width: el.w,
-    height: el.h,
-    transform: `rotate(${el.rotate || 0}deg)`,
-    zIndex: el.z || 0,
-  };
-
+// --- Layers ---
+function LayerThumb({ el }) {
+  const cls = 'w-8 h-8 shrink-0 rounded border bg-white overflow-hidden flex items-center justify-center';
   if (el.type === 'image') {
+    return <div className={cls}>{el.src ? <img src={el.src} alt="" className="w-full h-full object-cover" draggable={false} /> : '?'}</div>;
+  }
+  if (el.type === 'stroke') {
     return (
-      <div
-        style={common}
-        className={`group ${selected ? 'ring-2 ring-sky-500' : 'ring-1 ring-slate-300'} rounded cursor-move`}
-        onPointerDown={onPointerDown}
-      >
-        <img src={el.src} alt="" className="w-full h-full object-cover rounded" />
-        {selected && <div className="handle" onPointerDown={onResizeStart} />}
+      <div className={cls}>
+        <svg className="w-7 h-7" viewBox={`0 0 ${el.vw || el.w} ${el.vh || el.h}`} style={{ overflow: 'visible' }}>
+          <path d={strokePath(el)} {...strokePaint(el)} />
+        </svg>
       </div>
     );
   }
-
-  // text
-  const align = el.align || 'left';
-  const weight = el.weight || 600;
   return (
-    <div
-      style={common}
-      className={`group ${selected ? 'ring-2 ring-sky-500' : 'ring-1 ring-slate-300'} rounded cursor-move p-2`}
-      onPointerDown={onPointerDown}
-    >
-      <div
-        className="w-full h-full flex items-center justify-start"
-        style={{
-          background: el.bg || '#ffffffcc',
-          color: el.color || '#111827',
-          borderRadius: (el.radius ?? 12) + 'px',
-          fontSize: (el.fontSize || 18) + 'px',
-          fontWeight: weight,
-          textAlign: align
-        }}
-      >
-        <div className="w-full">{el.text}</div>
-      </div>
-      {selected && <div className="handle" onPointerDown={onResizeStart} />}
+    <div className={cls} style={{ background: el.bg === 'transparent' ? undefined : el.bg }}>
+      <span className="text-xs font-bold" style={{ color: el.color, fontFamily: fontStack(el.font) }}>
+        {plainText(el.text).trim().slice(0, 2) || 'T'}
+      </span>
     </div>
   );
 }
 
+// One panel's elements, top of the stack first. Dragging a row rewrites z.
+function LayersList({ panel, selectedIds, onSelect, onChange, onRestack }) {
+  const [dragFrom, setDragFrom] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+  const rows = stackOrder(panel.elements);
+  const move = (from, to) => {
+    if (from === to) return;
+    const ids = rows.map(el => el.id);
+    const [moved] = ids.splice(from, 1);
+    ids.splice(to, 0, moved);
+    onRestack(ids);
+  };
+  const rename = (el) => {
+    const name = prompt('Layer name', elementLabel(el));
+    if (name != null) onChange(el.id, { name: name.trim() });
+  };
+
+  return (
+    <details className="mb-4 border-b pb-3" open>
+      <summary className="text-sm font-medium cursor-pointer mb-2">Layers ({rows.length})</summary>
+      {!rows.length && <p className="text-sm text-slate-500">This panel is empty.</p>}
+      <ol className="space-y-1">
+        {rows.map((el, i) => (
+          <li
+            key={el.id}
+            draggable
+            onDragStart={(e) => { setDragFrom(i); e.dataTransfer.effectAllowed = 'move'; }}
+            onDragOver={(e) => { e.preventDefault(); setDragOver(i); }}
+            onDragLeave={() => setDragOver(o => (o === i ? null : o))}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragFrom != null) move(dragFrom, i);
+              setDragFrom(null); setDragOver(null);
+            }}
+            onDragEnd={() => { setDragFrom(null); setDragOver(null); }}
+            className={`flex items-center gap-2 rounded border p-1 cursor-grab ${selectedIds.includes(el.id) ? 'border-sky-500 bg-sky-50' : 'border-slate-200'} ${dragOver === i && dragFrom !== i ? 'ring-2 ring-sky-300' : ''}`}
+          >
+            <LayerThumb el={el} />
+            <button
+              className={`grow min-w-0 text-left text-sm truncate ${el.hidden ? 'text-slate-400 line-through' : ''}`}
+              onClick={(e) => onSelect(el.id, e.shiftKey)}
+              onDoubleClick={() => rename(el)}
+              title="Click to select, double-click to rename"
+            >{elementLabel(el)}</button>
+            <button
+              className={`text-xs px-1 rounded border ${el.hidden ? 'bg-slate-200' : ''}`}
+              onClick={() => onChange(el.id, { hidden: !el.hidden })}
+              aria-pressed={!!el.hidden}
+              title={el.hidden ? 'Hidden: not drawn or exported' : 'Hide'}
+            >{el.hidden ? 'Show' : 'Hide'}</button>
+            <button
+              className={`text-xs px-1 rounded border ${el.locked ? 'bg-amber-100 border-amber-400' : ''}`}
+              onClick={() => onChange(el.id, { locked: !el.locked })}
+              aria-pressed={!!el.locked}
+              title={el.locked ? 'Locked: clicks pass through it' : 'Lock'}
+            >{el.locked ? 'Unlock' : 'Lock'}</button>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+// --- Reading order ---
+// Moving a balloon pins the whole list as panel.order; Reset clears it
+function ReadingOrder({ panel, selectedIds, lang, onSelect, onChange }) {
+  const rows = readingOrder(panel);
+  if (!rows.length) return null;
+  const move = (i, d) => {
+    const ids = rows.map(el => el.id);
+    [ids[i], ids[i + d]] = [ids[i + d], ids[i]];
+    onChange(ids);
+  };
+  const btn = 'text-xs px-1 rounded border disabled:opacity-30';
+
+  return (
+    <details className="mb-4 border-b pb-3">
+      <summary className="text-sm font-medium cursor-pointer mb-2">Reading order ({rows.length})</summary>
+      <ol className="space-y-1">
+        {rows.map((el, i) => (
+          <li
+            key={el.id}
+            className={`flex items-center gap-2 rounded border p-1 ${selectedIds.includes(el.id) ? 'border-sky-500 bg-sky-50' : 'border-slate-200'}`}
+          >
+            <span className="w-5 text-center text-xs font-bold text-slate-500">{i + 1}</span>
+            <button className="grow min-w-0 text-left text-sm truncate" onClick={() => onSelect(el.id)}>
+              {el.speaker ? `${el.speaker}: ` : ''}{plainText(textIn(el, lang)).trim() || '(empty)'}
+            </button>
+            <button className={btn} disabled={i === 0} onClick={() => move(i, -1)} aria-label={`Read ${elementLabel(el)} earlier`}>↑</button>
+            <button className={btn} disabled={i === rows.length - 1} onClick={() => move(i, 1)} aria-label={`Read ${elementLabel(el)} later`}>↓</button>
+          </li>
+        ))}
+      </ol>
+      {panel.order?.length > 0 && (
+        <button className="text-sm underline mt-2" onClick={() => onChange([])}>Reset to top to bottom</button>
+      )}
+    </details>
+  );
+}
+
 // --- Inspector ---
-function Inspector({ page, selection, mutateElement, removeElement, setPanel }) {
-  const { panelIdx, elId } = selection;
+function Inspector({ page, selection, styles, fonts, onAddFonts, mutateElement, removeElement, removeElements, onArrange, onGroup, onUngroup, setPanel, onApplyStyle, onSaveStyle, onRenameStyle, onDeleteStyle, onSaveToLibrary, overflowing, lang, onRestack, onSelect }) {
+  const { panelIdx, elIds } = selection;
   const panel = page.panels[panelIdx];
-  const el = panel?.elements.find(e => e.id === elId);
+  const selected = panel ? panel.elements.filter(e => elIds.includes(e.id)) : [];
+  // The per-element form only makes sense for a single element
+  const el = selected.length === 1 ? selected[0] : null;
 
-  // panel background
-  const panelBg = panel?.bg || '#ffffff';
+  const textRef = useRef(null);
+  const overflowed = page.panels.flatMap((pan, i) => pan.elements.filter(e => overflowing[e.id]).map(e => ({ panelIdx: i, el: e })));
+  const unfinished = page.panels.flatMap((pan, i) => pan.elements.filter(e => isUntranslated(e, lang)).map(e => ({ panelIdx: i, el: e })));
+
+  // Consecutive edits to the same field collapse into one undo step
+  const edit = (patch) => mutateElement(panelIdx, el.id, patch, { merge: `inspect:${el.id}:${Object.keys(patch).join()}` });
+  // While translating, the textarea holds the translation and the original stays put
+  const shownText = el?.type === 'text' ? (lang ? el.translations?.[lang] || '' : el.text) : '';
+  const setText = (text) => (lang ? edit({ translations: { ...el.translations, [lang]: text } }) : edit({ text }));
 
   return (
     <aside className="bg-white rounded shadow p-3 h-min">
       <h2 className="font-semibold mb-2">Inspector</h2>
 
-      <div className="mb-4">
-        <label className="text-sm block mb-1">Panel background</label>
-        <input
-          type="color"
-          value={panelBg}
-          onChange={(e) => setPanel(panelIdx, { bg: e.target.value })}
+      {panel && (
+        <PanelTools
+          panel={panel}
+          onChange={(patch) => setPanel(panelIdx, patch, { merge: `panel:${panel.id}:${Object.keys(patch).join()}` })}
         />
-      </div>
+      )}
+
+      {panel && (
+        <LayersList
+          panel={panel}
+          selectedIds={elIds}
+          onSelect={(id, add) => onSelect(panelIdx, id, add)}
+          onChange={(id, patch) => mutateElement(panelIdx, id, patch)}
+          onRestack={(ids) => onRestack(panelIdx, ids)}
+        />
+      )}
+
+      {panel && (
+        <ReadingOrder
+          panel={panel}
+          selectedIds={elIds}
+          lang={lang}
+          onSelect={(id) => onSelect(panelIdx, id)}
+          onChange={(order) => setPanel(panelIdx, { order })}
+        />
+      )}
+
+      {overflowed.length > 0 && (
+        <div className="mb-4 rounded bg-red-50 border border-red-200 p-2">
+          <div className="text-sm font-medium text-red-700 mb-1">Text that does not fit ({overflowed.length})</div>
+          <ul className="space-y-1">
+            {overflowed.map(({ panelIdx: i, el: o }) => (
+              <li key={o.id}>
+                <button className="text-sm text-left underline" onClick={() => onSelect(i, o.id)}>
+                  Panel {i + 1}: “{plainText(o.text).slice(0, 30) || '(empty)'}”
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {unfinished.length > 0 && (
+        <div className="mb-4 rounded bg-amber-50 border border-amber-200 p-2">
+          <div className="text-sm font-medium text-amber-800 mb-1">Missing {lang} translation ({unfinished.length})</div>
+          <ul className="space-y-1">
+            {unfinished.map(({ panelIdx: i, el: o }) => (
+              <li key={o.id}>
+                <button className="text-sm text-left underline" onClick={() => onSelect(i, o.id)}>
+                  Panel {i + 1}: “{plainText(o.text).slice(0, 30)}”
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
 
-      {!el && <p className="text-sm text-slate-600">Select an element to edit its properties.</p>}
+      {!selected.length && <p className="text-sm text-slate-600">Select an element to edit its properties. Shift-click or drag a box to select several.</p>}
+
+      {selected.length > 0 && (
+        <ArrangeTools
+          count={selected.length}
+          grouped={selected.some(e => e.group)}
+          onArrange={onArrange}
+          onGroup={onGroup}
+          onUngroup={onUngroup}
+          onDelete={selected.some(e => !e.locked) ? () => removeElements(panelIdx, selected.filter(e => !e.locked).map(e => e.id)) : null}
+        />
+      )}
 
       {el && (
         <div className="space-y-3">
           <div className="flex items-center justify-between">
-            <span className="text-sm font-medium capitalize">{el.type}{el.subtype ? ` · ${el.subtype}` : ''}</span>
-            <button className="text-red-600 text-sm underline" onClick={() => removeElement(panelIdx, el.id)}>Delete</button>
+            <span className="text-sm font-medium capitalize">{el.type}{el.subtype ? ` · ${el.subtype}` : ''}{el.tool ? ` · ${DRAW_TOOLS[el.tool]}` : ''}</span>
+            <button className="text-red-600 text-sm underline disabled:opacity-40" disabled={el.locked} title={el.locked ? 'Unlock it to delete' : undefined} onClick={() => removeElement(panelIdx, el.id)}>Delete</button>
           </div>
 
           {el.type === 'text' && (
             <>
+              <StylePicker
+                el={el}
+                styles={styles}
+                onApply={(styleId) => onApplyStyle(panelIdx, el.id, styleId)}
+                onSave={(styleId) => onSaveStyle(el, styleId)}
+                onRename={onRenameStyle}
+                onDelete={onDeleteStyle}
+              />
               <div>
-                <label className="text-sm block mb-1">Text</label>
+                <label className="text-sm block mb-1">{lang ? `Text (${lang})` : 'Text'}</label>
+                {lang && <p className="text-xs text-slate-500 mb-1 whitespace-pre-wrap">{plainText(el.text)}</p>}
+                <FormatBar textRef={textRef} text={shownText} onText={setText} />
                 <textarea
+                  ref={textRef}
                   className="w-full border rounded p-2 text-sm"
                   rows={3}
-                  value={el.text}
-                  onChange={(e) => mutateElement(panelIdx, el.id, { text: e.target.value })}
+                  value={shownText}
+                  placeholder={lang ? 'Translation' : undefined}
+                  onChange={(e) => setText(e.target.value)}
                 />
               </div>
+              {el.subtype !== 'sfx' && (
+                <div>
+                  <label className="text-sm block mb-1">Speaker</label>
+                  <input
+                    className="w-full border rounded p-1 text-sm"
+                    placeholder={el.subtype === 'caption' ? 'Caption' : 'Name, for the script'}
+                    value={el.speaker || ''}
+                    onChange={(e) => edit({ speaker: e.target.value })}
+                  />
+                </div>
+              )}
               <div className="grid grid-cols-2 gap-2">
                 <div>
                   <label className="text-sm block mb-1">Font size</label>
                   <input
                     type="number" className="w-full border rounded p-1"
                     value={el.fontSize}
-                    onChange={(e) => mutateElement(panelIdx, el.id, { fontSize: Number(e.target.value || 0) })}
+                    onChange={(e) => edit({ fontSize: Number(e.target.value || 0) })}
                   />
                 </div>
                 <div>
@@ -519,7 +5576,7 @@ function Inspector({ page, selection, mutateElement, removeElement, setPanel })
                     type="number" className="w-full border rounded p-1"
                     min="100" max="900" step="100"
                     value={el.weight ?? 600}
-                    onChange={(e) => mutateElement(panelIdx, el.id, { weight: Number(e.target.value || 600) })}
+                    onChange={(e) => edit({ weight: Number(e.target.value || 600) })}
                   />
                 </div>
                 <div>
@@ -527,7 +5584,7 @@ function Inspector({ page, selection, mutateElement, removeElement, setPanel })
                   <input
                     type="color"
                     value={el.color || '#111827'}
-                    onChange={(e) => mutateElement(panelIdx, el.id, { color: e.target.value })}
+                    onChange={(e) => edit({ color: e.target.value })}
                   />
                 </div>
                 <div>
@@ -535,7 +5592,7 @@ function Inspector({ page, selection, mutateElement, removeElement, setPanel })
                   <input
                     type="color"
                     value={el.bg || '#ffffffcc'}
-                    onChange={(e) => mutateElement(panelIdx, el.id, { bg: e.target.value })}
+                    onChange={(e) => edit({ bg: e.target.value })}
                   />
                 </div>
                 <div>
@@ -543,7 +5600,7 @@ function Inspector({ page, selection, mutateElement, removeElement, setPanel })
                   <input
                     type="number" className="w-full border rounded p-1"
                     value={el.radius ?? 12}
-                    onChange={(e) => mutateElement(panelIdx, el.id, { radius: Number(e.target.value || 0) })}
+                    onChange={(e) => edit({ radius: Number(e.target.value || 0) })}
                   />
                 </div>
                 <div>
@@ -551,59 +5608,198 @@ function Inspector({ page, selection, mutateElement, removeElement, setPanel })
                   <select
                     className="w-full border rounded p-1"
                     value={el.align || 'left'}
-                    onChange={(e) => mutateElement(panelIdx, el.id, { align: e.target.value })}
+                    onChange={(e) => edit({ align: e.target.value })}
                   >
                     <option>left</option>
                     <option>center</option>
                     <option>right</option>
                   </select>
                 </div>
+                <div className={el.fit === 'grow' ? '' : 'col-span-2'}>
+                  <label className="text-sm block mb-1">Fit</label>
+                  <select
+                    className="w-full border rounded p-1"
+                    value={el.fit || 'none'}
+                    onChange={(e) => edit({ fit: e.target.value, maxWidth: el.maxWidth || Math.max(120, Math.round(el.w)) })}
+                  >
+                    {Object.entries(FIT_MODES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                  </select>
+                </div>
+                {el.fit === 'grow' && (
+                  <div>
+                    <label className="text-sm block mb-1">Max width</label>
+                    <input
+                      type="number" className="w-full border rounded p-1"
+                      min="60" max="2000"
+                      value={el.maxWidth || 320}
+                      onChange={(e) => edit({ maxWidth: clamp(Number(e.target.value || 320), 60, 2000) })}
+                    />
+                  </div>
+                )}
+              </div>
+
+              <LetteringTools el={el} edit={edit} fonts={fonts} onAddFonts={onAddFonts} />
+
+              {/* balloon */}
+              <div className="grid grid-cols-2 gap-2">
+                <div className="col-span-2">
+                  <label className="text-sm block mb-1">Balloon shape</label>
+                  <select
+                    className="w-full border rounded p-1"
+                    value={el.shape || 'rect'}
+                    onChange={(e) => edit({ shape: e.target.value })}
+                  >
+                    {Object.entries(BALLOON_SHAPES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-sm block mb-1">Stroke width</label>
+                  <input
+                    type="number" className="w-full border rounded p-1"
+                    min="0" max="20"
+                    value={el.strokeWidth ?? 0}
+                    onChange={(e) => edit({ strokeWidth: clamp(Number(e.target.value || 0), 0, 20) })}
+                  />
+                </div>
+                <div>
+                  <label className="text-sm block mb-1">Stroke color</label>
+                  <input
+                    type="color"
+                    value={el.stroke || '#111827'}
+                    onChange={(e) => edit({ stroke: e.target.value })}
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="text-sm flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={!!el.tail}
+                      onChange={(e) => edit({ tail: e.target.checked ? { x: el.w / 4, y: el.h + 40 } : null })}
+                    />
+                    Tail (drag the blue dot to the speaker)
+                  </label>
+                </div>
+                {el.tail && (
+                  <>
+                    <div>
+                      <label className="text-sm block mb-1">Tail X</label>
+                      <input type="number" className="w-full border rounded p-1"
+                        value={Math.round(el.tail.x)}
+                        onChange={(e) => edit({ tail: { ...el.tail, x: Number(e.target.value || 0) } })}
+                      />
+                    </div>
+                    <div>
+                      <label className="text-sm block mb-1">Tail Y</label>
+                      <input type="number" className="w-full border rounded p-1"
+                        value={Math.round(el.tail.y)}
+                        onChange={(e) => edit({ tail: { ...el.tail, y: Number(e.target.value || 0) } })}
+                      />
+                    </div>
+                  </>
+                )}
+                <div>
+                  <label className="text-sm block mb-1">Text outline</label>
+                  <input
+                    type="number" className="w-full border rounded p-1"
+                    min="0" max="20"
+                    value={el.textStroke ?? 0}
+                    onChange={(e) => edit({ textStroke: clamp(Number(e.target.value || 0), 0, 20) })}
+                  />
+                </div>
+                <div>
+                  <label className="text-sm block mb-1">Outline color</label>
+                  <input
+                    type="color"
+                    value={el.textStrokeColor || '#ffffff'}
+                    onChange={(e) => edit({ textStrokeColor: e.target.value })}
+                  />
+                </div>
+              </div>
+            </>
+          )}
+
+          {el.type === 'image' && (
+            <>
+              <div>
+                <label className="text-sm block mb-1">Alt text</label>
+                <input
+                  className="w-full border rounded p-1"
+                  placeholder="What the image shows"
+                  value={el.alt || ''}
+                  onChange={(e) => edit({ alt: e.target.value })}
+                />
               </div>
+              <ImageTools el={el} edit={edit} />
+              {el.asset && <button className="text-sm underline" onClick={() => onSaveToLibrary(el)}>Add to asset library</button>}
             </>
           )}
 
+          {el.type === 'stroke' && (
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="text-sm block mb-1">Line width</label>
+                <input
+                  type="number" className="w-full border rounded p-1"
+                  min="1" max="200"
+                  value={el.width}
+                  onChange={(e) => edit({ width: clamp(Number(e.target.value || 1), 1, 200) })}
+                />
+              </div>
+              <div>
+                <label className="text-sm block mb-1">Colour</label>
+                <input type="color" value={el.color} onChange={(e) => edit({ color: e.target.value })} />
+              </div>
+              {el.tool === 'brush' && (
+                <label className="col-span-2 text-sm flex items-center gap-2">
+                  <input type="checkbox" checked={el.pressure !== false} onChange={(e) => edit({ pressure: e.target.checked })} />
+                  Pressure-sensitive width
+                </label>
+              )}
+            </div>
+          )}
+
           {/* common numeric controls */}
           <div className="grid grid-cols-2 gap-2">
             <div>
               <label className="text-sm block mb-1">X</label>
               <input type="number" className="w-full border rounded p-1"
                 value={el.x}
-                onChange={(e) => mutateElement(panelIdx, el.id, { x: Number(e.target.value || 0) })}
+                onChange={(e) => edit({ x: Number(e.target.value || 0) })}
               />
             </div>
             <div>
               <label className="text-sm block mb-1">Y</label>
               <input type="number" className="w-full border rounded p-1"
                 value={el.y}
-                onChange={(e) => mutateElement(panelIdx, el.id, { y: Number(e.target.value || 0) })}
+                onChange={(e) => edit({ y: Number(e.target.value || 0) })}
               />
             </div>
             <div>
               <label className="text-sm block mb-1">W</label>
               <input type="number" className="w-full border rounded p-1"
                 value={el.w}
-                onChange={(e) => mutateElement(panelIdx, el.id, { w: Number(e.target.value || 0) })}
+                onChange={(e) => edit({ w: Number(e.target.value || 0) })}
               />
             </div>
             <div>
               <label className="text-sm block mb-1">H</label>
               <input type="number" className="w-full border rounded p-1"
                 value={el.h}
-                onChange={(e) => mutateElement(panelIdx, el.id, { h: Number(e.target.value || 0) })}
+                onChange={(e) => edit({ h: Number(e.target.value || 0) })}
               />
             </div>
             <div>
               <label className="text-sm block mb-1">Rotate</label>
               <input type="number" className="w-full border rounded p-1"
                 value={el.rotate || 0}
-                onChange={(e) => mutateElement(panelIdx, el.id, { rotate: Number(e.target.value || 0) })}
+                onChange={(e) => edit({ rotate: Number(e.target.value || 0) })}
               />
             </div>
             <div>
               <label className="text-sm block mb-1">Z-index</label>
               <input type="number" className="w-full border rounded p-1"
                 value={el.z || 0}
-                onChange={(e) => mutateElement(panelIdx, el.id, { z: Number(e.target.value || 0) })}
+                onChange={(e) => edit({ z: Number(e.target.value || 0) })}
               />
             </div>
           </div>
@@ -0,0 +1,218 @@
+// Comicks dashboard: the local library with per-comic statistics, export history
+// and activity over time. Plain JS on top of storage.js, no build step.
+
+const CHART_DAYS = 30;
+const DEFAULT_SIZE = { w: 1200, h: 900 }; // records saved before they carried a page size
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// --- dom helpers ---
+const h = (tag, attrs = {}, ...children) => {
+  const el = document.createElement(tag);
+  Object.entries(attrs).forEach(([k, v]) => {
+    if (k === 'class') el.className = v;
+    else if (k.startsWith('on')) el.addEventListener(k.slice(2), v);
+    else if (v != null && v !== false) el.setAttribute(k, v);
+  });
+  el.append(...children.flat().filter(c => c != null && c !== false));
+  return el;
+};
+
+const svg = (tag, attrs = {}, ...children) => {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => { if (v != null) el.setAttribute(k, v); });
+  el.append(...children.flat().filter(Boolean));
+  return el;
+};
+
+// --- stats ---
+const statsOf = (doc) => {
+  const panels = doc.pages.flatMap(pg => pg.panels);
+  const elements = panels.flatMap(pan => pan.elements);
+  return {
+    pages: doc.pages.length,
+    panels: panels.length,
+    balloons: elements.filter(el => el.type === 'text' && (el.subtype || 'speech') === 'speech').length, // not captions or SFX
+    images: elements.filter(el => el.type === 'image').length,
+  };
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const RELATIVE = [[60, 'second'], [60, 'minute'], [24, 'hour'], [7, 'day'], [4.35, 'week'], [12, 'month'], [Infinity, 'year']];
+
+const timeAgo = (t) => {
+  let v = (t - Date.now()) / 1000;
+  const fmt = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+  for (const [size, unit] of RELATIVE) {
+    if (Math.abs(v) < size) return fmt.format(Math.round(v), unit);
+    v /= size;
+  }
+  return new Date(t).toLocaleDateString();
+};
+
+// The last `n` calendar days, oldest first
+const lastDays = (n) => Array.from({ length: n }, (_, i) => dayKey(Date.now() - (n - 1 - i) * 86_400_000));
+
+// --- thumbnails ---
+// A vector sketch of the first page; its asset URLs go in `urls` to be released on refresh
+const thumbnail = async (rec, urls) => {
+  const doc = rec.doc;
+  const size = rec.size || DEFAULT_SIZE;
+  const gutter = Number.isFinite(doc.gutter) ? doc.gutter : 12;
+  const page = doc.pages[0];
+  const root = svg('svg', { viewBox: `0 0 ${size.w} ${size.h}`, class: 'w-full h-full', 'aria-hidden': 'true' },
+    svg('rect', { width: size.w, height: size.h, fill: doc.pageBg || '#e2e8f0' }));
+  if (!page) return root;
+
+  for (const pan of page.panels) {
+    const { x, y, w, h: ph } = pan.rect;
+    const box = { x: gutter + x * (size.w - gutter), y: gutter + y * (size.h - gutter), w: w * (size.w - gutter) - gutter, h: ph * (size.h - gutter) - gutter };
+    const frame = svg('svg', { x: box.x, y: box.y, width: box.w, height: box.h, overflow: 'hidden' },
+      svg('rect', { width: box.w, height: box.h, fill: pan.bg || '#ffffff' }));
+    const els = pan.elements.filter(el => !el.hidden).sort((a, b) => (a.z ?? 0) - (b.z ?? 0));
+    for (const el of els) {
+      if (el.type === 'image') {
+        const stored = el.asset && await getAsset(el.asset).catch(() => null);
+        const href = stored ? URL.createObjectURL(stored.blob) : (/^(data:|https?:)/.test(el.src || '') ? el.src : null);
+        if (stored) urls.push(href);
+        frame.append(href
+          ? svg('image', { href, x: el.x, y: el.y, width: el.w, height: el.h, preserveAspectRatio: 'xMidYMid slice', opacity: el.opacity ?? 1 })
+          : svg('rect', { x: el.x, y: el.y, width: el.w, height: el.h, fill: '#cbd5e1' }));
+      } else if (el.type === 'stroke') {
+        const sx = el.w / (el.vw || el.w), sy = el.h / (el.vh || el.h);
+        const points = (el.points || []).map(([px, py]) => `${el.x + px * sx},${el.y + py * sy}`).join(' ');
+        frame.append(svg('polyline', { points, fill: 'none', stroke: el.color || '#111827', 'stroke-width': el.width || 4, 'stroke-linecap': 'round', 'stroke-linejoin': 'round' }));
+      } else if (el.type === 'text' && el.bg !== 'transparent' && el.subtype !== 'sfx') {
+        const oval = el.shape === 'oval' || el.shape === 'cloud';
+        frame.append(svg('rect', {
+          x: el.x, y: el.y, width: el.w, height: el.h,
+          rx: oval ? el.w / 2 : 6, ry: oval ? el.h / 2 : 6,
+          fill: el.bg || '#ffffff', stroke: el.stroke || '#111827', 'stroke-width': Math.max(2, el.strokeWidth || 0),
+        }));
+      } else if (el.type === 'text') {
+        frame.append(svg('text', { x: el.x, y: el.y + el.h * 0.75, 'font-size': el.h * 0.7, 'font-weight': 800, fill: el.color || '#111827' },
+          String(el.text || '').replace(/[*{}#]/g, '').slice(0, 12)));
+      }
+    }
+    root.append(frame);
+  }
+  return root;
+};
+
+// --- charts ---
+// A bar per day; `series` maps YYYY-MM-DD to a count
+const barChart = (title, series, color) => {
+  const days = lastDays(CHART_DAYS);
+  const values = days.map(d => series[d] || 0);
+  const max = Math.max(1, ...values);
+  const W = 300, H = 80, bw = W / days.length;
+  const total = values.reduce((a, b) => a + b, 0);
+  return h('section', { class: 'p-4 bg-white rounded shadow' },
+    h('div', { class: 'flex items-baseline justify-between mb-2' },
+      h('h2', { class: 'text-lg' }, title),
+      h('span', { class: 'text-sm text-slate-500' }, `${total} in ${CHART_DAYS} days`)),
+    svg('svg', { viewBox: `0 0 ${W} ${H + 14}`, class: 'w-full', role: 'img', 'aria-label': `${title}: ${total} in the last ${CHART_DAYS} days` },
+      svg('line', { x1: 0, y1: H, x2: W, y2: H, stroke: '#cbd5e1' }),
+      ...values.map((v, i) => svg('rect', {
+        x: i * bw + 1, y: H - (v / max) * H, width: bw - 2, height: (v / max) * H, fill: color,
+      }, svg('title', {}, `${days[i]}: ${v}`))),
+      svg('text', { x: 0, y: H + 12, 'font-size': 9, fill: '#64748b' }, days[0].slice(5)),
+      svg('text', { x: W, y: H + 12, 'font-size': 9, fill: '#64748b', 'text-anchor': 'end' }, 'today')));
+};
+
+const statCard = (label, value, note) => h('div', { class: 'p-4 bg-white rounded shadow' },
+  h('h2', { class: 'text-lg mb-2' }, label),
+  h('p', { class: 'text-2xl font-bold' }, String(value)),
+  note && h('p', { class: 'text-xs text-slate-500 mt-1' }, note));
+
+// --- comics ---
+const exportLine = (x) => `${x.format.toUpperCase()} · ${plural(x.pages, 'page')}`
+  + `${x.languages?.length > 1 ? ` · ${x.languages.join(', ')}` : ''} · ${new Date(x.at).toLocaleString()}`;
+
+// A record whose document this page cannot make sense of still gets a card
+const unreadableCard = (rec) => h('li', { class: 'bg-white rounded shadow p-3 space-y-1' },
+  h('a', { href: `index.html?comic=${encodeURIComponent(rec.id)}`, class: 'font-semibold hover:underline block truncate' }, rec.title || 'Untitled comic'),
+  h('p', { class: 'text-sm text-red-700' }, 'Could not read this comic. Open it to see why.'));
+
+const comicCard = async (rec, exports, urls) => {
+  const s = statsOf(rec.doc);
+  const open = `index.html?comic=${encodeURIComponent(rec.id)}`;
+  const size = rec.size || DEFAULT_SIZE;
+  return h('li', { class: 'bg-white rounded shadow p-3 flex gap-3' },
+    h('a', { href: open, class: 'block w-24 shrink-0 rounded overflow-hidden border', style: `aspect-ratio: ${size.w} / ${size.h}`, title: `Open “${rec.title}”` },
+      await thumbnail(rec, urls)),
+    h('div', { class: 'min-w-0 grow space-y-1' },
+      h('a', { href: open, class: 'font-semibold hover:underline block truncate' }, rec.title || 'Untitled comic'),
+      h('p', { class: 'text-xs text-slate-500', title: new Date(rec.updatedAt).toLocaleString() }, `Edited ${timeAgo(rec.updatedAt)}`),
+      h('p', { class: 'text-sm' }, [plural(s.pages, 'page'), plural(s.panels, 'panel'), plural(s.balloons, 'balloon'), plural(s.images, 'image')].join(' · ')),
+      exports.length
+        ? h('details', { class: 'text-sm' },
+          h('summary', { class: 'cursor-pointer' }, `${plural(exports.length, 'export')}, last ${timeAgo(exports[0].at)}`),
+          h('ul', { class: 'mt-1 space-y-0.5 text-xs text-slate-600' }, exports.slice(0, 20).map(x => h('li', {}, exportLine(x)))))
+        : h('p', { class: 'text-sm text-slate-500' }, 'Not exported yet')));
+};
+
+// --- page ---
+let objectURLs = [];
+
+const render = async () => {
+  const main = document.getElementById('dashboard');
+  const [comics, exports] = await Promise.all([listComics(), listExports()]);
+  const urls = [];
+
+  const totals = comics.reduce((t, rec) => {
+    try {
+      const s = statsOf(rec.doc);
+      return { pages: t.pages + s.pages, balloons: t.balloons + s.balloons };
+    } catch (e) {
+      return t; // its card says so
+    }
+  }, { pages: 0, balloons: 0 });
+  const legacy = Number(localStorage.getItem('comicsCount') || '0'); // exports counted before the history existed
+  const edits = {}, exported = {};
+  comics.forEach(rec => Object.entries(rec.activity || {}).forEach(([day, n]) => { edits[day] = (edits[day] || 0) + n; }));
+  exports.forEach(x => { const day = dayKey(x.at); exported[day] = (exported[day] || 0) + 1; });
+
+  const byComic = new Map();
+  exports.forEach(x => byComic.set(x.comicId, [...(byComic.get(x.comicId) || []), x]));
+  const cards = await Promise.all(comics.map(rec => comicCard(rec, byComic.get(rec.id) || [], urls).catch(e => {
+    console.error(e);
+    return unreadableCard(rec);
+  })));
+  const gone = exports.filter(x => !comics.some(rec => rec.id === x.comicId));
+
+  main.replaceChildren(
+    h('div', { class: 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4' },
+      statCard('Comics', comics.length),
+      statCard('Pages', totals.pages),
+      statCard('Balloons', totals.balloons),
+      statCard('Exports', exports.length + legacy, legacy ? `${legacy} from before export history was kept` : null)),
+    h('div', { class: 'grid grid-cols-1 md:grid-cols-2 gap-4' },
+      barChart('Edits per day', edits, '#0ea5e9'),
+      barChart('Exports per day', exported, '#1e293b')),
+    h('section', { class: 'space-y-2' },
+      h('h2', { class: 'text-lg' }, 'Recent comics'),
+      comics.length
+        ? h('ul', { class: 'grid grid-cols-1 lg:grid-cols-2 gap-3' }, cards)
+        : h('p', { class: 'text-slate-600' }, 'No comics yet. ', h('a', { href: 'index.html?comic=new', class: 'underline' }, 'Start one'), '.')),
+    gone.length > 0 && h('details', { class: 'bg-white rounded shadow p-3 text-sm' },
+      h('summary', { class: 'cursor-pointer' }, `${plural(gone.length, 'export')} of deleted comics`),
+      h('ul', { class: 'mt-1 space-y-0.5 text-xs text-slate-600' }, gone.slice(0, 50).map(x => h('li', {}, `${x.title || 'Untitled comic'}: ${exportLine(x)}`)))));
+
+  objectURLs.forEach(u => URL.revokeObjectURL(u));
+  objectURLs = urls;
+};
+
+const start = async () => {
+  try {
+    await render();
+  } catch (e) {
+    console.error(e);
+    document.getElementById('dashboard').replaceChildren(
+      h('p', { class: 'text-red-700' }, `Could not read the comic library. ${e.message || ''}`));
+  }
+};
+
+// The builder in another tab may have saved or exported since
+document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') start(); });
+start();
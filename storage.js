@@ -0,0 +1,117 @@
+// Local comic library for Comicks, backed by IndexedDB.
+// Shared by the builder (app.js) and the dashboard, so keep it plain JS (no JSX).
+//
+// Stores:
+//   comics   { id, title, createdAt, updatedAt, doc, assets: [assetId], size: { w, h }, activity: { 'YYYY-MM-DD': saves } }
+//   assets   { id, blob, type }   (id is the content hash, so identical images are stored once)
+//   exports  { id, comicId, title, at, format, pages, languages }   (kept when the comic is deleted)
+
+const DB_NAME = 'comicks';
+const DB_VERSION = 2;
+const ACTIVITY_DAYS = 365;
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('comics')) db.createObjectStore('comics', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('assets')) db.createObjectStore('assets', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('exports')) {
+        db.createObjectStore('exports', { keyPath: 'id', autoIncrement: true }).createIndex('comicId', 'comicId');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+    req.onblocked = () => { dbPromise = null; reject(new Error('Close other Comicks tabs to finish upgrading the library.')); };
+  });
+  return dbPromise;
+};
+
+// Run `fn(store)` in a transaction and resolve with the value of the request it returns
+const withStore = async (name, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Run `fn(tx)` in one transaction over several stores
+const withStores = async (names, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    fn(tx);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// --- comics ---
+const listComics = async () => {
+  const all = await withStore('comics', 'readonly', s => s.getAll());
+  return (all || []).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+const getComic = (id) => withStore('comics', 'readonly', s => s.get(id));
+
+const saveComic = (record) => withStore('comics', 'readwrite', s => s.put(record));
+
+// A record and its image blobs (asset id -> blob) in one transaction, so gcAssets never splits them
+const saveComicWithAssets = (record, blobs) => withStores(['comics', 'assets'], 'readwrite', tx => {
+  const assets = tx.objectStore('assets');
+  for (const [id, blob] of blobs) {
+    const req = assets.count(id);
+    req.onsuccess = () => { if (!req.result) assets.put({ id, blob, type: blob.type }); };
+  }
+  tx.objectStore('comics').put(record);
+});
+
+// Local calendar day of a timestamp, as YYYY-MM-DD
+const dayKey = (t) => {
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Saves per day for a comic's record, counting one more now; days past a year drop off
+const bumpActivity = (activity = {}, now = Date.now()) => {
+  const today = dayKey(now);
+  const oldest = dayKey(now - ACTIVITY_DAYS * 86_400_000);
+  const kept = Object.entries(activity).filter(([day]) => day >= oldest);
+  return { ...Object.fromEntries(kept), [today]: (activity[today] || 0) + 1 };
+};
+
+const deleteComic = async (id) => {
+  await withStore('comics', 'readwrite', s => s.delete(id));
+  // The comic is gone either way; orphans a failed sweep leaves go with the next one
+  await gcAssets().catch((e) => console.error(e));
+};
+
+// --- export history ---
+const logExport = (entry) => withStore('exports', 'readwrite', s => s.add({ at: Date.now(), ...entry }));
+
+const listExports = async () => {
+  const all = await withStore('exports', 'readonly', s => s.getAll());
+  return (all || []).sort((a, b) => b.at - a.at);
+};
+
+// --- assets ---
+const getAsset = (id) => withStore('assets', 'readonly', s => s.get(id));
+
+// Drop image binaries that no saved comic references any more (in one transaction, see saveComicWithAssets)
+const gcAssets = () => withStores(['comics', 'assets'], 'readwrite', tx => {
+  const comics = tx.objectStore('comics').getAll();
+  const ids = tx.objectStore('assets').getAllKeys();
+  ids.onsuccess = () => {
+    const used = new Set((comics.result || []).flatMap(c => c.assets || []));
+    ids.result.filter(id => !used.has(id)).forEach(id => tx.objectStore('assets').delete(id));
+  };
+});